@@ -0,0 +1,2472 @@
+/**
+ * @module simulation
+ * @description Renderer-independent physics core of the orbital simulator.
+ * It has no dependency on p5 or the DOM, so it runs in the browser, where sketch.js
+ * drives and draws it, and in Node for batch experiments and tests:
+ *
+ *     const { createSimulation } = require("./simulation.js");
+ *     const simulation = createSimulation({ integrator: "rk4" });
+ *     const star = simulation.createBody(10000, 0, 0, 0, 0, 50, "yellow");
+ *     star.addSatelliteFromElements(10, 10, "blue", {
+ *       semimajorAxis: 200,
+ *       eccentricity: 0.1,
+ *     });
+ *     for (let i = 0; i < 1000; i++) {
+ *       simulation.step(1);
+ *     }
+ *     console.log(simulation.getState());
+ */
+
+/**
+ * @constant {number}
+ * @description Version of the saved state format written by Simulation.getState
+ */
+const STATE_VERSION = 1;
+
+/**
+ * @constant {Object} DEFAULT_CONFIG
+ * @description Default simulation settings
+ * @property {number} gravity - Gravitational constant used in force calculations
+ * @property {string} integrator - Key of the integration scheme in INTEGRATORS
+ * @property {number} timeStep - Simulated time advanced by one physics tick
+ * @property {number} substeps - Number of integration steps each tick is divided into
+ * @property {string} forceSolver - Gravity solver, "pairwise" (exact) or "barnesHut" (quadtree approximation)
+ * @property {number} openingAngle - Barnes-Hut opening angle, larger values are faster but less accurate
+ * @property {number} softening - Plummer softening length, which limits the force between bodies closer than about this distance
+ * @property {number} maxSubdivisions - Largest number of pieces a substep is split into during close encounters, 1 turns adaptive timestepping off. Ignored by the euler integrator
+ * @property {number} encounterDistance - Gap between two body surfaces below which the pair can shorten the timestep
+ * @property {number} encounterAccuracy - Largest fraction of a close pair's dynamical time advanced in one integration step
+ * @property {number} maxParentCandidates - Number of most massive bodies considered when choosing a parent
+ * @property {string} sphereOfInfluence - Key of the sphere of influence radius in SPHERES_OF_INFLUENCE
+ * @property {number} soiHysteresis - Fraction by which a body must be inside a new sphere of influence to enter it, or outside its parent's to leave it
+ * @property {string} collisionMode - Key of the collision response in COLLISION_HANDLERS
+ * @property {string} boundary - Key of the policy for bodies beyond the world radius in BOUNDARY_POLICIES
+ * @property {number} worldRadius - Distance from the center of mass at which the boundary policy applies
+ * @property {number} closeApproachDistance - Gap between two body surfaces that counts as a close approach event
+ * @property {number} fragmentCount - Number of fragments a shattered body breaks into
+ * @property {number} fragmentationSpeed - Minimum impact speed that shatters the lighter body
+ * @property {number} minFragmentMass - Smallest mass a fragment may have, lighter impacts merge instead
+ */
+const DEFAULT_CONFIG = {
+  gravity: 0.1,
+  integrator: "verlet",
+  timeStep: 1,
+  substeps: 4,
+  forceSolver: "pairwise",
+  openingAngle: 0.7,
+  softening: 0,
+  maxSubdivisions: 32,
+  encounterDistance: 50,
+  encounterAccuracy: 0.02,
+  maxParentCandidates: 20,
+  sphereOfInfluence: "laplace",
+  soiHysteresis: 0.1,
+  collisionMode: "merge",
+  boundary: "remove",
+  worldRadius: 2500,
+  closeApproachDistance: 20,
+  fragmentCount: 4,
+  fragmentationSpeed: 3,
+  minFragmentMass: 1,
+};
+
+/**
+ * @constant {string[]} SIMULATION_EVENTS
+ * @description Types of event a Simulation emits, see Simulation.on. Every event
+ * has its type and the simulated time, plus:
+ * - bodyAdded: {body}
+ * - bodyRemoved: {body, reason, replacement}, the reason being "merge" when the body merged into the replacement, "fragment" when it shattered on hitting the replacement, "boundary" when it was removed by the boundary policy or "delete" when it was deleted
+ * - parentChanged: {body, from, to}, either parent may be null
+ * - escape: {body, policy}, when a body crosses the world boundary outwards
+ * - periapsis, apoapsis: {body, parent, distance}, when a body passes the closest or furthest point from its parent
+ * - closeApproach: {a, b, distance, position}, at the closest point of an encounter closer than config.closeApproachDistance
+ */
+const SIMULATION_EVENTS = [
+  "bodyAdded",
+  "bodyRemoved",
+  "parentChanged",
+  "escape",
+  "periapsis",
+  "apoapsis",
+  "closeApproach",
+];
+
+/**
+ * Two dimensional vector with the subset of the p5.Vector interface used by the
+ * simulation. Methods that modify the vector return it so calls can be chained.
+ */
+class Vector {
+  /**
+   * @constructor
+   * @name Vector
+   * @param {number} [x=0] - X component
+   * @param {number} [y=0] - Y component
+   */
+  constructor(x = 0, y = 0) {
+    this.x = x;
+    this.y = y;
+  }
+
+  /**
+   * Sets both components, from another vector or from two numbers
+   * @method
+   * @name set
+   * @param {Vector|{x: number, y: number}|number} x - Vector to copy, or the x component
+   * @param {number} [y] - Y component when x is a number
+   * @returns {Vector} This vector
+   */
+  set(x, y) {
+    if (typeof x === "object") {
+      this.x = x.x;
+      this.y = x.y;
+    } else {
+      this.x = x;
+      this.y = y;
+    }
+    return this;
+  }
+
+  /**
+   * @method
+   * @name copy
+   * @returns {Vector} A new vector with the same components
+   */
+  copy() {
+    return new Vector(this.x, this.y);
+  }
+
+  /**
+   * Adds another vector, or two numbers, to this vector
+   * @method
+   * @name add
+   * @param {Vector|{x: number, y: number}|number} x - Vector to add, or the x component
+   * @param {number} [y] - Y component when x is a number
+   * @returns {Vector} This vector
+   */
+  add(x, y) {
+    if (typeof x === "object") {
+      this.x += x.x;
+      this.y += x.y;
+    } else {
+      this.x += x;
+      this.y += y;
+    }
+    return this;
+  }
+
+  /**
+   * Subtracts another vector, or two numbers, from this vector
+   * @method
+   * @name sub
+   * @param {Vector|{x: number, y: number}|number} x - Vector to subtract, or the x component
+   * @param {number} [y] - Y component when x is a number
+   * @returns {Vector} This vector
+   */
+  sub(x, y) {
+    if (typeof x === "object") {
+      this.x -= x.x;
+      this.y -= x.y;
+    } else {
+      this.x -= x;
+      this.y -= y;
+    }
+    return this;
+  }
+
+  /**
+   * @method
+   * @name mult
+   * @param {number} scalar - Factor to scale by
+   * @returns {Vector} This vector
+   */
+  mult(scalar) {
+    this.x *= scalar;
+    this.y *= scalar;
+    return this;
+  }
+
+  /**
+   * @method
+   * @name div
+   * @param {number} scalar - Divisor to scale by
+   * @returns {Vector} This vector
+   */
+  div(scalar) {
+    this.x /= scalar;
+    this.y /= scalar;
+    return this;
+  }
+
+  /**
+   * @method
+   * @name mag
+   * @returns {number} The length of the vector
+   */
+  mag() {
+    return Math.sqrt(this.x * this.x + this.y * this.y);
+  }
+
+  /**
+   * @method
+   * @name magSq
+   * @returns {number} The squared length of the vector
+   */
+  magSq() {
+    return this.x * this.x + this.y * this.y;
+  }
+
+  /**
+   * @method
+   * @name dot
+   * @param {Vector|{x: number, y: number}} other - The other vector
+   * @returns {number} The dot product
+   */
+  dot(other) {
+    return this.x * other.x + this.y * other.y;
+  }
+
+  /**
+   * @method
+   * @name dist
+   * @param {Vector|{x: number, y: number}} other - The other point
+   * @returns {number} The distance between the two points
+   */
+  dist(other) {
+    return Math.hypot(other.x - this.x, other.y - this.y);
+  }
+
+  /**
+   * @method
+   * @name heading
+   * @returns {number} The angle of the vector from the x axis in radians
+   */
+  heading() {
+    return Math.atan2(this.y, this.x);
+  }
+
+  /**
+   * Scales the vector to length 1, leaving a zero vector unchanged
+   * @method
+   * @name normalize
+   * @returns {Vector} This vector
+   */
+  normalize() {
+    const length = this.mag();
+    return length === 0 ? this : this.div(length);
+  }
+
+  /**
+   * @method
+   * @name setMag
+   * @param {number} length - The new length
+   * @returns {Vector} This vector
+   */
+  setMag(length) {
+    return this.normalize().mult(length);
+  }
+
+  /**
+   * Rotates the vector counterclockwise, towards the positive y axis
+   * @method
+   * @name rotate
+   * @param {number} angle - Angle in radians
+   * @returns {Vector} This vector
+   */
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return this.set(this.x * cos - this.y * sin, this.x * sin + this.y * cos);
+  }
+
+  /**
+   * @method
+   * @name add
+   * @static
+   * @param {Vector} a - First vector
+   * @param {Vector|{x: number, y: number}} b - Second vector
+   * @returns {Vector} A new vector a + b
+   */
+  static add(a, b) {
+    return a.copy().add(b);
+  }
+
+  /**
+   * @method
+   * @name sub
+   * @static
+   * @param {Vector} a - First vector
+   * @param {Vector|{x: number, y: number}} b - Second vector
+   * @returns {Vector} A new vector a - b
+   */
+  static sub(a, b) {
+    return a.copy().sub(b);
+  }
+
+  /**
+   * @method
+   * @name mult
+   * @static
+   * @param {Vector} vector - The vector
+   * @param {number} scalar - Factor to scale by
+   * @returns {Vector} A new scaled vector
+   */
+  static mult(vector, scalar) {
+    return vector.copy().mult(scalar);
+  }
+
+  /**
+   * @method
+   * @name div
+   * @static
+   * @param {Vector} vector - The vector
+   * @param {number} scalar - Divisor to scale by
+   * @returns {Vector} A new scaled vector
+   */
+  static div(vector, scalar) {
+    return vector.copy().div(scalar);
+  }
+
+  /**
+   * @method
+   * @name dist
+   * @static
+   * @param {Vector} a - First point
+   * @param {Vector|{x: number, y: number}} b - Second point
+   * @returns {number} The distance between the two points
+   */
+  static dist(a, b) {
+    return a.dist(b);
+  }
+
+  /**
+   * @method
+   * @name fromAngle
+   * @static
+   * @param {number} angle - Angle from the x axis in radians
+   * @param {number} [length=1] - Length of the vector
+   * @returns {Vector} A new vector pointing at the angle
+   */
+  static fromAngle(angle, length = 1) {
+    return new Vector(length * Math.cos(angle), length * Math.sin(angle));
+  }
+}
+
+/**
+ * @typedef {Object} CelestialBody
+ * @property {number} id - Unique identifier of the celestial body
+ * @property {number} mass - Mass of the celestial body
+ * @property {Vector} position - Current position vector
+ * @property {Vector} velocity - Current velocity vector
+ * @property {Vector} acceleration - Acceleration at the end of the last integration step, or at its start for integrators that do not evaluate it at the end
+ * @property {number} size - Visual diameter of the celestial body
+ * @property {*} color - Color of the celestial body
+ * @property {CelestialBody|null} parent - Parent body (null for primary bodies)
+ * @property {boolean} parentLocked - Whether the parent was chosen by hand and is kept by Simulation.assignParents
+ * @property {number} gravitationalParameter - Standard gravitational parameter
+ * @property {number} eccentricity - Orbital eccentricity
+ * @property {Vector} eccentricityVector - Vector describing orbital eccentricity
+ * @property {number} semimajorAxis - Length of the semi-major axis of the orbit
+ * @property {number} semiminorAxis - Length of the semi-minor axis of the orbit
+ * @property {Object} orbitalElements - Full set of orbital elements from computeOrbitalElements
+ */
+
+/**
+ @module CelestialBody
+*/
+class CelestialBody {
+  /**
+   * Class representing a celestial body in the gravitational simulation.
+   * This class handles the physics of a celestial body, including its position, velocity, acceleration, and orbital parameters.
+   * Drawing is left to the renderer.
+   * @constructor
+   * @name CelestialBody
+   * @param {Simulation} simulation - The simulation the body belongs to
+   * @param {number} mass - Mass of the celestial body
+   * @param {number} x - Initial x-coordinate
+   * @param {number} y - Initial y-coordinate
+   * @param {number} vx - Initial x-velocity
+   * @param {number} vy - Initial y-velocity
+   * @param {number} size - Diameter of the celestial body
+   * @param {*} color - Color of the celestial body, stored as given for the renderer
+   * @param {CelestialBody} [parent=null] - Parent body (null for primary bodies)
+   * @throws {Error} If mass is negative or zero
+   */
+  constructor(simulation, mass, x, y, vx, vy, size, color, parent = null) {
+    if (mass <= 0) {
+      throw new Error("Mass must be positive");
+    }
+    this.simulation = simulation;
+    this.id = simulation.nextBodyId++;
+    this.mass = mass;
+    this.position = new Vector(x, y);
+    this.velocity = new Vector(vx, vy);
+    this.acceleration = new Vector(0, 0);
+    this.size = size;
+    this.color = color;
+    this.parent = parent;
+    this.parentLocked = false;
+    this.calculateOrbitalParameters();
+  }
+
+  /**
+   * Calculates the standard gravitational parameter of the body.
+   * The parameter represents the product of the gravitational constant and the mass of the body (or system).
+   * @method
+   * @name gravitationalParameter
+   * @returns {number} The standard gravitational parameter.
+   */
+  get gravitationalParameter() {
+    const { gravity } = this.simulation.config;
+    return this.parent
+      ? gravity * (this.parent.mass + this.mass)
+      : gravity * this.mass;
+  }
+
+  /**
+   * Calculates the orbital parameters of the celestial body
+   * @method
+   * @name calculateOrbitalParameters
+   * @returns {number} The orbital eccentricity
+   */
+  calculateOrbitalParameters() {
+    if (!this.parent) {
+      return 0;
+    }
+    this.orbitalElements = this.getOrbitalElements();
+    this.eccentricityVector = this.orbitalElements.eccentricityVector;
+    this.eccentricity = this.orbitalElements.eccentricity;
+    this.semimajorAxis = this.orbitalElements.semimajorAxis;
+    this.semiminorAxis = this.orbitalElements.semiminorAxis;
+    return this.eccentricity;
+  }
+
+  /**
+   * Returns the position relative to the parent body
+   * @method
+   * @name relativePosition
+   * @returns {Vector} The relative position
+   */
+  relativePosition() {
+    return Vector.sub(this.position, this.parent.position);
+  }
+
+  /**
+   * Returns the velocity relative to the parent body
+   * @method
+   * @name relativeVelocity
+   * @returns {Vector} The relative velocity
+   */
+  relativeVelocity() {
+    return Vector.sub(this.velocity, this.parent.velocity);
+  }
+
+  /**
+   * Sets the velocity from a velocity relative to the parent body
+   * @method
+   * @name setRelativeVelocity
+   * @param {Vector} relativeVelocity - The relative velocity
+   * @returns {void}
+   */
+  setRelativeVelocity(relativeVelocity) {
+    this.velocity = Vector.add(this.parent.velocity, relativeVelocity);
+  }
+
+  /**
+   * Calculates the orbital elements of this body around its parent
+   * @method
+   * @name getOrbitalElements
+   * @returns {Object} The orbital elements from computeOrbitalElements
+   */
+  getOrbitalElements() {
+    return computeOrbitalElements(
+      this.relativePosition(),
+      this.relativeVelocity(),
+      this.gravitationalParameter
+    );
+  }
+
+  /**
+   * Moves this body onto the orbit described by the given elements around its parent
+   * @method
+   * @name setOrbitalElements
+   * @param {Object} elements - The orbital elements, see stateFromOrbitalElements
+   * @returns {void}
+   * @throws {Error} If the elements do not describe a valid orbit
+   */
+  setOrbitalElements(elements) {
+    const state = stateFromOrbitalElements(
+      elements,
+      this.gravitationalParameter
+    );
+    this.position = state.position.add(this.parent.position);
+    this.velocity = state.velocity.add(this.parent.velocity);
+    this.calculateOrbitalParameters();
+  }
+
+  /**
+   * Adds a satellite orbiting this celestial body.
+   * The satellite starts at the apoapsis of an orbit with the given eccentricity.
+   * @method
+   * @name addSatellite
+   * @param {number} mass - Mass of the satellite
+   * @param {number} size - Visual size of the satellite
+   * @param {*} color - Color of the satellite
+   * @param {Vector} satellitePos - Initial position vector relative to parent
+   * @param {number} [eccentricity=0] - Orbital eccentricity
+   * @param {number} [direction=1] - 1 for prograde (counterclockwise), -1 for retrograde
+   * @returns {CelestialBody} The new satellite
+   */
+  addSatellite(
+    mass,
+    size,
+    color,
+    satellitePos,
+    eccentricity = 0,
+    direction = 1
+  ) {
+    const distanceToParent = satellitePos.mag();
+    const velocityMagnitude = Math.sqrt(
+      (this.simulation.config.gravity *
+        (this.mass + mass) *
+        (1 - eccentricity)) /
+        distanceToParent
+    );
+    const velocityVector = satellitePos
+      .copy()
+      .rotate((Math.PI / 2) * direction)
+      .setMag(velocityMagnitude)
+      .add(this.velocity);
+    return this.simulation.createBody(
+      mass,
+      this.position.x + satellitePos.x,
+      this.position.y + satellitePos.y,
+      velocityVector.x,
+      velocityVector.y,
+      size,
+      color,
+      this
+    );
+  }
+
+  /**
+   * Adds a satellite on the orbit around this body described by its orbital elements
+   * @method
+   * @name addSatelliteFromElements
+   * @param {number} mass - Mass of the satellite
+   * @param {number} size - Visual size of the satellite
+   * @param {*} color - Color of the satellite
+   * @param {Object} elements - Orbital elements, see stateFromOrbitalElements
+   * @param {number} elements.semimajorAxis - Semimajor axis, negative for hyperbolic orbits
+   * @param {number} elements.eccentricity - Eccentricity
+   * @param {number} [elements.argumentOfPeriapsis=0] - Angle of periapsis from the x axis in radians
+   * @param {number} [elements.trueAnomaly=0] - Angle from periapsis to the satellite in radians
+   * @param {number} [elements.direction=1] - 1 for prograde (counterclockwise), -1 for retrograde
+   * @returns {CelestialBody} The new satellite
+   * @throws {Error} If the elements do not describe a valid orbit
+   */
+  addSatelliteFromElements(mass, size, color, elements) {
+    const { position, velocity } = stateFromOrbitalElements(
+      elements,
+      this.simulation.config.gravity * (this.mass + mass)
+    );
+    position.add(this.position);
+    velocity.add(this.velocity);
+    return this.simulation.createBody(
+      mass,
+      position.x,
+      position.y,
+      velocity.x,
+      velocity.y,
+      size,
+      color,
+      this
+    );
+  }
+
+  /**
+   * Updates orbital parameters after a physics tick and emits a periapsis or
+   * apoapsis event when the body has turned around relative to its parent since
+   * the last tick. Position and velocity are advanced by the integrator and the
+   * parent is assigned by Simulation.assignParents.
+   * @method
+   * @name update
+   * @returns {void}
+   */
+  update() {
+    this.calculateOrbitalParameters();
+    const previous = this.radialMotion;
+    if (!this.parent) {
+      this.radialMotion = null;
+      return;
+    }
+    const relativePosition = this.relativePosition();
+    const approaching = relativePosition.dot(this.relativeVelocity()) < 0;
+    this.radialMotion = { parent: this.parent, approaching };
+    if (
+      !previous ||
+      previous.parent !== this.parent ||
+      previous.approaching === approaching ||
+      (approaching && this.eccentricity >= 1)
+    ) {
+      return;
+    }
+    this.simulation.emit(approaching ? "apoapsis" : "periapsis", {
+      body: this,
+      parent: this.parent,
+      distance: relativePosition.mag(),
+    });
+  }
+}
+
+/**
+ * A self-contained N-body simulation: the bodies, the settings and the simulated
+ * time. Every body, including the primary body bodies[0], moves freely, so
+ * momentum is conserved.
+ */
+class Simulation {
+  /**
+   * @constructor
+   * @name Simulation
+   * @param {Object} [config={}] - Settings that override DEFAULT_CONFIG
+   * @param {Object} [options={}] - Hooks for the renderer
+   * @param {Function} [options.blendColors] - Mixes two body colors when bodies merge, called with (color, otherColor, amount of otherColor). Keeps the first color by default
+   */
+  constructor(config = {}, options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.blendColors = options.blendColors || ((color) => color);
+    this.bodies = [];
+    this.time = 0;
+    this.nextBodyId = 0;
+    this.removedCount = 0;
+    this.subdivisions = 1;
+    this.listeners = new Map();
+    this.encounters = new Map();
+    this.accelerationCache = null;
+  }
+
+  /**
+   * Subscribes to one type of simulation event
+   * @method
+   * @name on
+   * @param {string} type - The event type, one of SIMULATION_EVENTS
+   * @param {Function} listener - Called with the event object each time the event happens
+   * @returns {Function} Unsubscribes the listener when called
+   * @throws {Error} If the event type is unknown
+   */
+  on(type, listener) {
+    if (!SIMULATION_EVENTS.includes(type)) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Unsubscribes a listener added with on
+   * @method
+   * @name off
+   * @param {string} type - The event type
+   * @param {Function} listener - The listener to remove
+   * @returns {void}
+   */
+  off(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (listeners) {
+      listeners.delete(listener);
+    }
+  }
+
+  /**
+   * Calls every listener of an event type with an event object holding the
+   * type, the simulated time and the given details
+   * @method
+   * @name emit
+   * @param {string} type - The event type
+   * @param {Object} [detail={}] - Properties of the event, see SIMULATION_EVENTS
+   * @returns {void}
+   */
+  emit(type, detail = {}) {
+    const listeners = this.listeners.get(type);
+    if (!listeners || listeners.size === 0) {
+      return;
+    }
+    const event = { type, time: this.time, ...detail };
+    for (const listener of [...listeners]) {
+      listener(event);
+    }
+  }
+
+  /**
+   * Creates a body and adds it to the simulation
+   * @method
+   * @name createBody
+   * @param {number} mass - Mass of the body
+   * @param {number} x - Initial x-coordinate
+   * @param {number} y - Initial y-coordinate
+   * @param {number} vx - Initial x-velocity
+   * @param {number} vy - Initial y-velocity
+   * @param {number} size - Diameter of the body
+   * @param {*} color - Color of the body
+   * @param {CelestialBody} [parent=null] - Parent body (null for primary bodies)
+   * @returns {CelestialBody} The new body
+   */
+  createBody(mass, x, y, vx, vy, size, color, parent = null) {
+    const body = new CelestialBody(
+      this,
+      mass,
+      x,
+      y,
+      vx,
+      vy,
+      size,
+      color,
+      parent
+    );
+    this.bodies.push(body);
+    this.emit("bodyAdded", { body });
+    return body;
+  }
+
+  /**
+   * Removes every body and resets the simulated time and body ids.
+   * Event listeners are kept.
+   * @method
+   * @name reset
+   * @returns {void}
+   */
+  reset() {
+    this.bodies = [];
+    this.time = 0;
+    this.nextBodyId = 0;
+    this.removedCount = 0;
+    this.encounters.clear();
+    this.accelerationCache = null;
+  }
+
+  /**
+   * Calculates the gravitational acceleration of every body with the configured solver
+   * @method
+   * @name computeAccelerations
+   * @param {Vector[]} positions - Position of each body
+   * @param {number[]} masses - Mass of each body, in the same order as positions
+   * @returns {Vector[]} Acceleration of each body, in the same order as positions
+   */
+  computeAccelerations(positions, masses) {
+    return computeAccelerations(positions, masses, this.config);
+  }
+
+  /**
+   * Stores the accelerations an integration step evaluated at the bodies' new
+   * positions, so that the next step can start from them instead of evaluating
+   * the forces again
+   * @method
+   * @name cacheAccelerations
+   * @param {Vector[]|null} accelerations - Acceleration of each body, or null to clear the cache
+   * @returns {void}
+   */
+  cacheAccelerations(accelerations) {
+    this.accelerationCache = accelerations && {
+      accelerations,
+      bodies: [...this.bodies],
+      positions: this.bodies.map((body) => body.position.copy()),
+      masses: this.bodies.map((body) => body.mass),
+      config: { ...this.config },
+    };
+  }
+
+  /**
+   * Returns the cached accelerations if they still apply: no body has been added,
+   * removed, moved or changed mass since they were stored, as after a merge or a
+   * bounce, and the gravity settings are unchanged
+   * @method
+   * @name cachedAccelerations
+   * @returns {Vector[]|null} Acceleration of each body, or null if they must be evaluated again
+   */
+  cachedAccelerations() {
+    const cache = this.accelerationCache;
+    if (
+      !cache ||
+      cache.bodies.length !== this.bodies.length ||
+      ["gravity", "forceSolver", "openingAngle", "softening"].some(
+        (key) => cache.config[key] !== this.config[key]
+      )
+    ) {
+      return null;
+    }
+    const unchanged = this.bodies.every(
+      (body, i) =>
+        body === cache.bodies[i] &&
+        body.mass === cache.masses[i] &&
+        body.position.x === cache.positions[i].x &&
+        body.position.y === cache.positions[i].y
+    );
+    return unchanged ? cache.accelerations : null;
+  }
+
+  /**
+   * Advances the simulation by one physics tick using the configured integrator.
+   * The tick is split into config.substeps substeps. Substeps without a close
+   * encounter are one integration step of every body; during close encounters
+   * (see planSubdivisions) only the bodies involved take shorter steps, see
+   * subcycle. Pairs that may be in a close encounter are found once per tick
+   * with findEncounterCandidates. Accelerations left by the previous integration
+   * step are reused while they still apply, see cachedAccelerations. Every
+   * integration step is followed by collision handling, after which every body's
+   * orbital bookkeeping is updated and close approaches are detected once.
+   * @method
+   * @name step
+   * @param {number} dt - Simulated time to advance
+   * @returns {void}
+   */
+  step(dt) {
+    const { config } = this;
+    const integrate = INTEGRATORS[config.integrator] || INTEGRATORS.verlet;
+    const substepDt = dt / config.substeps;
+    this.subdivisions = 1;
+    const candidates = this.findEncounterCandidates(dt, substepDt);
+    for (let step = 0; step < config.substeps; step++) {
+      let remaining = substepDt;
+      while (remaining > 0) {
+        const plan = this.planSubdivisions(remaining, candidates);
+        this.subdivisions = Math.max(this.subdivisions, plan.subdivisions);
+        remaining -=
+          plan.subdivisions > 1
+            ? this.subcycle(remaining, plan, integrate)
+            : this.integrateAll(remaining, integrate);
+        this.resolveCollisions();
+      }
+    }
+
+    this.time += dt;
+
+    this.applyBoundary();
+    this.assignParents();
+    for (const body of this.bodies) {
+      body.update();
+    }
+    this.detectCloseApproaches();
+  }
+
+  /**
+   * Advances every body by one integration step
+   * @method
+   * @name integrateAll
+   * @param {number} dt - Length of the step
+   * @param {Function} integrate - The integrator, see INTEGRATORS
+   * @returns {number} Simulated time advanced, always dt
+   */
+  integrateAll(dt, integrate) {
+    const state = {
+      positions: this.bodies.map((body) => body.position),
+      velocities: this.bodies.map((body) => body.velocity),
+      masses: this.bodies.map((body) => body.mass),
+      accelerations: this.cachedAccelerations(),
+    };
+    const accelerations = integrate(state, dt, (positions, masses) =>
+      this.computeAccelerations(positions, masses)
+    );
+    this.bodies.forEach((body, i) => {
+      body.acceleration = (accelerations || state.accelerations)[i];
+    });
+    this.cacheAccelerations(accelerations);
+    return dt;
+  }
+
+  /**
+   * Advances the simulation through a close encounter with multiple time stepping.
+   * The acceleration of every body is split into a fast part, the forces between
+   * the active bodies of the plan, and a slow part, everything else. The slow part
+   * is applied as a half kick at both ends of the step, and in between the active
+   * bodies are integrated under the fast part in plan.subdivisions shorter steps
+   * while the other bodies drift. All forces are evaluated once per step, and the
+   * short steps only cost the forces among the active bodies. The step ends early
+   * when active bodies start to overlap, so that the collision is handled in time;
+   * other collisions are handled at the end of the step as usual.
+   * @method
+   * @name subcycle
+   * @param {number} dt - Length of the step
+   * @param {{subdivisions: number, active: number[]}} plan - Plan from planSubdivisions
+   * @param {Function} integrate - The integrator used for the short steps, see INTEGRATORS
+   * @returns {number} Simulated time advanced, dt unless the step ended early
+   */
+  subcycle(dt, plan, integrate) {
+    const bodies = [...this.bodies];
+    const active = plan.active.map((i) => bodies[i]);
+    const activeIndex = new Map(active.map((body, i) => [body, i]));
+    const passive = bodies.filter((body) => !activeIndex.has(body));
+    const activeRadii = active.map((body) => body.size / 2);
+    const accelerate = (positions, masses) =>
+      this.computeAccelerations(positions, masses);
+    const accelerateAll = () =>
+      accelerate(
+        bodies.map((body) => body.position),
+        bodies.map((body) => body.mass)
+      );
+    const fast = {
+      positions: active.map((body) => body.position),
+      velocities: active.map((body) => body.velocity),
+      masses: active.map((body) => body.mass),
+      accelerations: null,
+    };
+    const kickSlow = (accelerations, fastAccelerations, time) => {
+      bodies.forEach((body, i) => {
+        const slow = accelerations[i].copy();
+        if (activeIndex.has(body)) {
+          slow.sub(fastAccelerations[activeIndex.get(body)]);
+        }
+        body.velocity.add(slow.mult(time));
+      });
+    };
+
+    fast.accelerations = accelerate(fast.positions, fast.masses);
+    kickSlow(
+      this.cachedAccelerations() || accelerateAll(),
+      fast.accelerations,
+      dt / 2
+    );
+    const shortDt = dt / plan.subdivisions;
+    let completed = 0;
+    while (completed < plan.subdivisions) {
+      fast.accelerations = integrate(fast, shortDt, accelerate);
+      for (const { position, velocity } of passive) {
+        position.x += velocity.x * shortDt;
+        position.y += velocity.y * shortDt;
+      }
+      completed++;
+      if (
+        this.config.collisionMode !== "none" &&
+        findOverlappingPairs(fast.positions, activeRadii).length > 0
+      ) {
+        break;
+      }
+    }
+    const elapsed = completed === plan.subdivisions ? dt : completed * shortDt;
+
+    const accelerations = accelerateAll();
+    kickSlow(
+      accelerations,
+      fast.accelerations || accelerate(fast.positions, fast.masses),
+      elapsed - dt / 2
+    );
+    bodies.forEach((body, i) => {
+      body.acceleration = accelerations[i];
+    });
+    this.cacheAccelerations(accelerations);
+    return elapsed;
+  }
+
+  /**
+   * Finds the pairs of bodies that may come close enough during a tick to need
+   * shorter steps, see planSubdivisions. A pair can only need more than one step
+   * of length stepDt when its separation is below
+   * cbrt(G * (m1 + m2) * (stepDt / encounterAccuracy)^2), which is at most the
+   * sum of cbrt(G * m * (stepDt / encounterAccuracy)^2) over both bodies. The
+   * search reaches that far around each body, plus the distance the body covers
+   * in the tick at its current speed.
+   * The euler integrator always takes single steps, so no pairs are returned for
+   * it: choosing the step length from the current positions is only safe for
+   * time-symmetric integrators, and with euler it makes eccentric orbits lose
+   * energy at every periapsis.
+   * @method
+   * @name findEncounterCandidates
+   * @param {number} tickDt - Length of the tick
+   * @param {number} stepDt - Length of the longest step taken in the tick
+   * @returns {CelestialBody[][]} Pairs of bodies
+   */
+  findEncounterCandidates(tickDt, stepDt) {
+    const { config } = this;
+    if (config.maxSubdivisions <= 1 || config.integrator === "euler") {
+      return [];
+    }
+    const longest = stepDt / config.encounterAccuracy;
+    return findOverlappingPairs(
+      this.bodies.map((body) => body.position),
+      this.bodies.map(
+        (body) =>
+          Math.cbrt(config.gravity * body.mass * longest * longest) +
+          body.velocity.mag() * tickDt
+      )
+    ).map(([a, b]) => [this.bodies[a], this.bodies[b]]);
+  }
+
+  /**
+   * Finds the bodies in close encounters and how many integration steps they need
+   * for a step of length dt. Each pair of bodies whose surfaces are closer than
+   * config.encounterDistance has a dynamical time, the square root of its
+   * separation over its relative gravitational acceleration,
+   * sqrt((r^2 + softening^2)^(3/2) / (G * (m1 + m2))).
+   * Steps are made short enough that no pair advances by more than
+   * config.encounterAccuracy of its dynamical time, up to config.maxSubdivisions.
+   * Bodies in a pair that needs more than one step are active.
+   * Only the candidate pairs are checked, which are found once per tick, and pairs
+   * with a body that has since been removed are skipped.
+   * @method
+   * @name planSubdivisions
+   * @param {number} dt - Length of the step
+   * @param {CelestialBody[][]} [candidates] - Pairs to check, from findEncounterCandidates
+   * @returns {{subdivisions: number, active: number[]}} Number of short steps, at least 1, and the indices of the active bodies
+   */
+  planSubdivisions(dt, candidates = this.findEncounterCandidates(dt, dt)) {
+    const { config } = this;
+    let subdivisions = 1;
+    const active = new Set();
+    const indices = new Map(
+      candidates.length ? this.bodies.map((body, i) => [body, i]) : []
+    );
+    for (const [a, b] of candidates) {
+      if (!indices.has(a) || !indices.has(b)) {
+        continue;
+      }
+      const dx = a.position.x - b.position.x;
+      const dy = a.position.y - b.position.y;
+      const gap = (a.size + b.size) / 2 + config.encounterDistance;
+      if (dx * dx + dy * dy >= gap * gap) {
+        continue;
+      }
+      const rSquared = dx * dx + dy * dy + config.softening * config.softening;
+      const dynamicalTime = Math.sqrt(
+        (rSquared * Math.sqrt(rSquared)) / (config.gravity * (a.mass + b.mass))
+      );
+      const needed = Math.ceil(dt / (config.encounterAccuracy * dynamicalTime));
+      if (needed > 1) {
+        subdivisions = Math.max(subdivisions, needed);
+        active.add(indices.get(a));
+        active.add(indices.get(b));
+      }
+    }
+    return {
+      subdivisions: Math.min(config.maxSubdivisions, subdivisions),
+      active: [...active],
+    };
+  }
+
+  /**
+   * Applies the configured boundary policy to every body further than
+   * config.worldRadius from the center of mass. Bodies removed by the boundary
+   * are counted in removedCount. An escape event is emitted when a body first
+   * crosses the boundary.
+   * @method
+   * @name applyBoundary
+   * @returns {void}
+   */
+  applyBoundary() {
+    const policy = BOUNDARY_POLICIES[this.config.boundary];
+    if (!policy) {
+      return;
+    }
+    const center = this.barycenter();
+    const radius = this.config.worldRadius;
+    for (const body of [...this.bodies]) {
+      const offset = Vector.sub(body.position, center.position);
+      const outside = offset.magSq() > radius * radius;
+      if (outside && !body.beyondBoundary) {
+        this.emit("escape", { body, policy: this.config.boundary });
+      }
+      body.beyondBoundary = outside;
+      if (outside) {
+        policy(this, body, offset, center);
+      }
+    }
+  }
+
+  /**
+   * Gives every body the parent whose sphere of influence it is in, using
+   * assignParentsBySphereOfInfluence, and stores each body's own sphere of
+   * influence radius in body.sphereOfInfluence. Bodies with body.parentLocked
+   * keep their parent. A parentChanged event is emitted for every body that gets
+   * a new parent.
+   * @method
+   * @name assignParents
+   * @returns {void}
+   */
+  assignParents() {
+    const indices = new Map(this.bodies.map((body, i) => [body, i]));
+    const { parents, radii } = assignParentsBySphereOfInfluence(
+      this.bodies,
+      this.bodies.map((body) => indices.get(body.parent) ?? -1),
+      this.config,
+      this.bodies.map((body) => body.parentLocked)
+    );
+    const changes = [];
+    this.bodies.forEach((body, i) => {
+      const parent = parents[i] === -1 ? null : this.bodies[parents[i]];
+      if (parent !== body.parent) {
+        changes.push({ body, from: body.parent, to: parent });
+      }
+      body.parent = parent;
+      body.sphereOfInfluence = radii[i];
+    });
+    for (const change of changes) {
+      this.emit("parentChanged", change);
+    }
+  }
+
+  /**
+   * Tracks every pair of bodies whose surfaces are closer than
+   * config.closeApproachDistance and emits a closeApproach event at the closest
+   * point of each encounter once the pair has moved apart again
+   * @method
+   * @name detectCloseApproaches
+   * @returns {void}
+   */
+  detectCloseApproaches() {
+    const reach = this.bodies.map(
+      (body) => body.size / 2 + this.config.closeApproachDistance / 2
+    );
+    const close = new Set();
+    for (const [i, j] of findOverlappingPairs(
+      this.bodies.map((body) => body.position),
+      reach
+    )) {
+      const [a, b] =
+        this.bodies[i].id < this.bodies[j].id
+          ? [this.bodies[i], this.bodies[j]]
+          : [this.bodies[j], this.bodies[i]];
+      const key = `${a.id}:${b.id}`;
+      const distance = Vector.dist(a.position, b.position);
+      const encounter = this.encounters.get(key);
+      close.add(key);
+      if (!encounter || distance < encounter.distance) {
+        this.encounters.set(key, {
+          time: this.time,
+          a,
+          b,
+          distance,
+          position: Vector.add(a.position, b.position).div(2),
+        });
+      }
+    }
+    for (const [key, encounter] of this.encounters) {
+      if (!close.has(key)) {
+        this.encounters.delete(key);
+        this.emit("closeApproach", encounter);
+      }
+    }
+  }
+
+  /**
+   * Calculates the center of mass of all bodies and its velocity
+   * @method
+   * @name barycenter
+   * @returns {{position: Vector, velocity: Vector, mass: number}} Position and velocity of the center of mass, and the total mass
+   */
+  barycenter() {
+    const position = new Vector(0, 0);
+    const velocity = new Vector(0, 0);
+    let mass = 0;
+    for (const body of this.bodies) {
+      position.add(Vector.mult(body.position, body.mass));
+      velocity.add(Vector.mult(body.velocity, body.mass));
+      mass += body.mass;
+    }
+    if (mass > 0) {
+      position.div(mass);
+      velocity.div(mass);
+    }
+    return { position, velocity, mass };
+  }
+
+  /**
+   * Shifts every body so that the center of mass is at rest at the origin,
+   * which stops the whole system drifting away when its net momentum is not zero
+   * @method
+   * @name centerOnBarycenter
+   * @returns {void}
+   */
+  centerOnBarycenter() {
+    const { position, velocity } = this.barycenter();
+    for (const body of this.bodies) {
+      body.position.sub(position);
+      body.velocity.sub(velocity);
+    }
+  }
+
+  /**
+   * Removes a body from the simulation and emits a bodyRemoved event.
+   * Satellites of the removed body are handed over to the replacement body, or to
+   * the removed body's own parent if there is no replacement, and a parent locked
+   * to the removed body is unlocked. Close approaches
+   * involving the body that are still in progress are dropped without an event.
+   * @method
+   * @name removeBody
+   * @param {CelestialBody} body - The body to remove
+   * @param {CelestialBody} [replacement=null] - Body that takes over the removed body's satellites
+   * @param {string} [reason="delete"] - Why the body is removed, "merge", "fragment", "boundary" or "delete", see SIMULATION_EVENTS
+   * @returns {void}
+   */
+  removeBody(body, replacement = null, reason = "delete") {
+    const index = this.bodies.indexOf(body);
+    if (index === -1) {
+      return;
+    }
+    this.bodies.splice(index, 1);
+    for (const [key, encounter] of this.encounters) {
+      if (encounter.a === body || encounter.b === body) {
+        this.encounters.delete(key);
+      }
+    }
+    const newParent = replacement || body.parent;
+    for (const other of this.bodies) {
+      if (other.parent === body) {
+        other.parent = other === newParent ? body.parent : newParent;
+        other.parentLocked = false;
+      }
+    }
+    this.emit("bodyRemoved", { body, reason, replacement });
+  }
+
+  /**
+   * Finds every pair of overlapping bodies
+   * @method
+   * @name findCollisions
+   * @returns {CelestialBody[][]} Pairs of colliding bodies
+   */
+  findCollisions() {
+    return findOverlappingPairs(
+      this.bodies.map((body) => body.position),
+      this.bodies.map((body) => body.size / 2)
+    ).map(([a, b]) => [this.bodies[a], this.bodies[b]]);
+  }
+
+  /**
+   * Detects collisions and resolves them with the handler selected in
+   * config.collisionMode. Pairs involving an already removed body are skipped.
+   * @method
+   * @name resolveCollisions
+   * @returns {void}
+   */
+  resolveCollisions() {
+    const handle = COLLISION_HANDLERS[this.config.collisionMode];
+    if (!handle || this.config.collisionMode === "none") {
+      return;
+    }
+    for (const [a, b] of this.findCollisions()) {
+      if (this.bodies.includes(a) && this.bodies.includes(b)) {
+        handle(this, a, b);
+      }
+    }
+  }
+
+  /**
+   * Simulates copies of a set of bodies forward in time without touching the
+   * simulation, using the configured integrator and force solver with one
+   * integration step per tick
+   * @method
+   * @name simulatePaths
+   * @param {{position: Vector, velocity: Vector, mass: number}[]} initial - Starting state of each body
+   * @param {number} ticks - Number of physics ticks to simulate
+   * @param {Function} [shouldContinue] - Called with the positions, velocities and tick number after each tick, returning false stops the simulation
+   * @returns {Vector[][]} Positions of each body, one per tick, starting with the initial position
+   */
+  simulatePaths(initial, ticks, shouldContinue = () => true) {
+    const integrate = INTEGRATORS[this.config.integrator] || INTEGRATORS.verlet;
+    const accelerate = (positions, masses) =>
+      this.computeAccelerations(positions, masses);
+    const state = {
+      positions: initial.map((body) => body.position.copy()),
+      velocities: initial.map((body) => body.velocity.copy()),
+      masses: initial.map((body) => body.mass),
+    };
+    const paths = state.positions.map((position) => [position.copy()]);
+    for (let i = 1; i <= ticks; i++) {
+      state.accelerations = integrate(state, this.config.timeStep, accelerate);
+      state.positions.forEach((position, j) => {
+        paths[j].push(position.copy());
+      });
+      if (!shouldContinue(state.positions, state.velocities, i)) {
+        break;
+      }
+    }
+    return paths;
+  }
+
+  /**
+   * Calculates the total energy, linear momentum and angular momentum of all bodies.
+   * Angular momentum is taken about the origin, and the potential energy uses the
+   * same softening as the forces.
+   * @method
+   * @name computeConservedQuantities
+   * @returns {{kinetic: number, potential: number, energy: number, momentum: {x: number, y: number}, angularMomentum: number, momentumScale: number, angularMomentumScale: number}}
+   * The conserved quantities, plus the sums of their magnitudes over all bodies used to scale relative drift
+   */
+  computeConservedQuantities() {
+    const { bodies } = this;
+    let kinetic = 0;
+    let potential = 0;
+    let momentumX = 0;
+    let momentumY = 0;
+    let angularMomentum = 0;
+    let momentumScale = 0;
+    let angularMomentumScale = 0;
+    for (let i = 0; i < bodies.length; i++) {
+      const { mass, position, velocity } = bodies[i];
+      const speedSquared = velocity.x * velocity.x + velocity.y * velocity.y;
+      const spin = mass * (position.x * velocity.y - position.y * velocity.x);
+      kinetic += 0.5 * mass * speedSquared;
+      momentumX += mass * velocity.x;
+      momentumY += mass * velocity.y;
+      angularMomentum += spin;
+      momentumScale += mass * Math.sqrt(speedSquared);
+      angularMomentumScale += Math.abs(spin);
+      for (let j = i + 1; j < bodies.length; j++) {
+        const other = bodies[j];
+        const distance = Math.hypot(
+          other.position.x - position.x,
+          other.position.y - position.y,
+          this.config.softening
+        );
+        potential -= (this.config.gravity * mass * other.mass) / distance;
+      }
+    }
+    return {
+      kinetic,
+      potential,
+      energy: kinetic + potential,
+      momentum: { x: momentumX, y: momentumY },
+      angularMomentum,
+      momentumScale,
+      angularMomentumScale,
+    };
+  }
+
+  /**
+   * Exports the full simulation state as a versioned, JSON-compatible document.
+   * Parents are stored by body id and colors are stored as given.
+   * @method
+   * @name getState
+   * @returns {Object} The state document
+   */
+  getState() {
+    return {
+      version: STATE_VERSION,
+      time: this.time,
+      settings: {
+        gravity: this.config.gravity,
+        physics: { ...this.config },
+      },
+      bodies: this.bodies.map((body) => ({
+        id: body.id,
+        mass: body.mass,
+        position: { x: body.position.x, y: body.position.y },
+        velocity: { x: body.velocity.x, y: body.velocity.y },
+        size: body.size,
+        color: body.color,
+        parent: body.parent ? body.parent.id : null,
+        parentLocked: body.parentLocked,
+      })),
+      removedCount: this.removedCount,
+      nextBodyId: this.nextBodyId,
+    };
+  }
+
+  /**
+   * Replaces the simulation with the state stored in a document from getState.
+   * Settings missing from the document keep their current values.
+   * @method
+   * @name loadState
+   * @param {Object} state - The state document
+   * @returns {void}
+   * @throws {Error} If the document has an unsupported version or contains no bodies
+   */
+  loadState(state) {
+    if (!state || state.version !== STATE_VERSION) {
+      throw new Error(
+        `Unsupported state version: ${state ? state.version : state}`
+      );
+    }
+    if (!Array.isArray(state.bodies) || state.bodies.length === 0) {
+      throw new Error("State must contain at least one body");
+    }
+
+    const loaded = state.bodies.map((data) => {
+      const body = new CelestialBody(
+        this,
+        data.mass,
+        data.position.x,
+        data.position.y,
+        data.velocity.x,
+        data.velocity.y,
+        data.size,
+        data.color
+      );
+      body.id = data.id;
+      return body;
+    });
+
+    const settings = state.settings || {};
+    for (const key of Object.keys(this.config)) {
+      if (settings.physics && key in settings.physics) {
+        this.config[key] = settings.physics[key];
+      }
+    }
+    this.config.gravity = settings.gravity ?? this.config.gravity;
+
+    const byId = new Map(loaded.map((body) => [body.id, body]));
+    state.bodies.forEach((data, i) => {
+      loaded[i].parent = byId.get(data.parent) || null;
+      loaded[i].parentLocked = Boolean(data.parentLocked);
+      loaded[i].calculateOrbitalParameters();
+    });
+    this.bodies = loaded;
+    this.nextBodyId = Math.max(
+      state.nextBodyId ?? 0,
+      ...loaded.map((body) => body.id + 1)
+    );
+    this.time = state.time ?? 0;
+    this.removedCount = state.removedCount ?? 0;
+    this.encounters.clear();
+  }
+}
+
+/**
+ * Creates an empty simulation
+ * @function
+ * @name createSimulation
+ * @param {Object} [config={}] - Settings that override DEFAULT_CONFIG
+ * @param {Object} [options={}] - Hooks for the renderer, see Simulation
+ * @returns {Simulation} The simulation
+ */
+function createSimulation(config = {}, options = {}) {
+  return new Simulation(config, options);
+}
+
+/**
+ * Calculates the orbital elements of a two-body orbit from a relative state vector.
+ * Angles are measured from the x axis towards the y axis, in the orbit's direction
+ * of motion for the true anomaly.
+ * @function
+ * @name computeOrbitalElements
+ * @param {Vector} relativePosition - Position relative to the parent body
+ * @param {Vector} relativeVelocity - Velocity relative to the parent body
+ * @param {number} mu - Standard gravitational parameter of the pair
+ * @returns {Object} The orbital elements:
+ * eccentricityVector, eccentricity, semimajorAxis (negative for hyperbolic orbits),
+ * semiminorAxis (NaN for unbound orbits), semilatusRectum, argumentOfPeriapsis,
+ * trueAnomaly, direction (1 if the angular momentum is positive, otherwise -1),
+ * period (Infinity for unbound orbits), periapsis, apoapsis (Infinity for unbound orbits),
+ * distance and speed
+ */
+function computeOrbitalElements(relativePosition, relativeVelocity, mu) {
+  const { x, y } = relativePosition;
+  const { x: vx, y: vy } = relativeVelocity;
+  const distance = Math.hypot(x, y);
+  const speedSquared = vx * vx + vy * vy;
+  const angularMomentum = x * vy - y * vx;
+
+  const eccentricityVector = new Vector(
+    (vy * angularMomentum) / mu - x / distance,
+    (-vx * angularMomentum) / mu - y / distance
+  );
+  const eccentricity = eccentricityVector.mag();
+  const semimajorAxis = (mu * distance) / (2 * mu - distance * speedSquared);
+  const semilatusRectum = (angularMomentum * angularMomentum) / mu;
+  const direction = angularMomentum < 0 ? -1 : 1;
+  const argumentOfPeriapsis = Math.atan2(
+    eccentricityVector.y,
+    eccentricityVector.x
+  );
+  const trueAnomaly = direction * (Math.atan2(y, x) - argumentOfPeriapsis);
+
+  return {
+    eccentricityVector,
+    eccentricity,
+    semimajorAxis,
+    semiminorAxis: semimajorAxis * Math.sqrt(1 - eccentricity * eccentricity),
+    semilatusRectum,
+    argumentOfPeriapsis,
+    trueAnomaly: Math.atan2(Math.sin(trueAnomaly), Math.cos(trueAnomaly)),
+    direction,
+    period:
+      eccentricity < 1
+        ? 2 * Math.PI * Math.sqrt(Math.pow(semimajorAxis, 3) / mu)
+        : Infinity,
+    periapsis: semilatusRectum / (1 + eccentricity),
+    apoapsis:
+      eccentricity < 1 ? semilatusRectum / (1 - eccentricity) : Infinity,
+    distance,
+    speed: Math.sqrt(speedSquared),
+  };
+}
+
+/**
+ * Solves the relative state vector of a two-body orbit from its orbital elements.
+ * This is the inverse of computeOrbitalElements.
+ * @function
+ * @name stateFromOrbitalElements
+ * @param {Object} elements - The orbital elements
+ * @param {number} elements.semimajorAxis - Semimajor axis, negative for hyperbolic orbits
+ * @param {number} elements.eccentricity - Eccentricity, must not be exactly 1
+ * @param {number} [elements.argumentOfPeriapsis=0] - Angle of periapsis from the x axis in radians
+ * @param {number} [elements.trueAnomaly=0] - Angle from periapsis to the body in radians
+ * @param {number} [elements.direction=1] - 1 or -1, the sign of the angular momentum
+ * @param {number} mu - Standard gravitational parameter of the pair
+ * @returns {{position: Vector, velocity: Vector}} Position and velocity relative to the parent
+ * @throws {Error} If the elements do not describe a valid orbit at the given true anomaly
+ */
+function stateFromOrbitalElements(elements, mu) {
+  const {
+    semimajorAxis,
+    eccentricity,
+    argumentOfPeriapsis = 0,
+    trueAnomaly = 0,
+    direction = 1,
+  } = elements;
+  const semilatusRectum = semimajorAxis * (1 - eccentricity * eccentricity);
+  const denominator = 1 + eccentricity * Math.cos(trueAnomaly);
+  if (!(semilatusRectum > 0) || !(denominator > 0) || eccentricity < 0) {
+    throw new Error("Orbital elements do not describe a valid orbit");
+  }
+
+  const distance = semilatusRectum / denominator;
+  const angle = argumentOfPeriapsis + direction * trueAnomaly;
+  const radialSpeed =
+    Math.sqrt(mu / semilatusRectum) * eccentricity * Math.sin(trueAnomaly);
+  const transverseSpeed = Math.sqrt(mu / semilatusRectum) * denominator;
+  const radial = new Vector(Math.cos(angle), Math.sin(angle));
+  const transverse = new Vector(-Math.sin(angle), Math.cos(angle));
+
+  return {
+    position: Vector.mult(radial, distance),
+    velocity: Vector.mult(radial, radialSpeed).add(
+      transverse.mult(direction * transverseSpeed)
+    ),
+  };
+}
+
+/**
+ * Describes the frame that rotates with two bodies: its origin is their center of
+ * mass and its x axis points from the primary to the secondary body
+ * @function
+ * @name corotatingFrame
+ * @param {{position: Vector, velocity: Vector, mass: number}} primary - The heavier body
+ * @param {{position: Vector, velocity: Vector, mass: number}} secondary - The lighter body
+ * @returns {{origin: Vector, velocity: Vector, angle: number, angularVelocity: number, distance: number, massRatio: number}}
+ * Position and velocity of the center of mass, rotation of the x axis and its rate
+ * of change, distance between the bodies and the secondary's share of the total mass
+ */
+function corotatingFrame(primary, secondary) {
+  const totalMass = primary.mass + secondary.mass;
+  const offset = Vector.sub(secondary.position, primary.position);
+  const relativeVelocity = Vector.sub(secondary.velocity, primary.velocity);
+  return {
+    origin: Vector.mult(primary.position, primary.mass)
+      .add(Vector.mult(secondary.position, secondary.mass))
+      .div(totalMass),
+    velocity: Vector.mult(primary.velocity, primary.mass)
+      .add(Vector.mult(secondary.velocity, secondary.mass))
+      .div(totalMass),
+    angle: offset.heading(),
+    angularVelocity:
+      (offset.x * relativeVelocity.y - offset.y * relativeVelocity.x) /
+      offset.magSq(),
+    distance: offset.mag(),
+    massRatio: secondary.mass / totalMass,
+  };
+}
+
+/**
+ * Finds a root of a function that changes sign between two points by bisection
+ * @function
+ * @name findRoot
+ * @param {Function} f - The function
+ * @param {number} low - One end of the interval
+ * @param {number} high - The other end of the interval
+ * @param {number} [iterations=60] - Number of times the interval is halved
+ * @returns {number} The root
+ */
+function findRoot(f, low, high, iterations = 60) {
+  const lowSign = Math.sign(f(low));
+  for (let i = 0; i < iterations; i++) {
+    const middle = (low + high) / 2;
+    if (Math.sign(f(middle)) === lowSign) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Calculates the five Lagrange points of two bodies in the circular restricted
+ * three-body problem. In units of the distance between the bodies, with the
+ * secondary's share of the mass m, L4 and L5 form equilateral triangles with
+ * both bodies and L1, L2 and L3 lie on the line through them, at the roots of
+ * x - (1-m)(x+m)/|x+m|^3 - m(x-1+m)/|x-1+m|^3 = 0. Each point moves with the
+ * rotating frame, so a body placed there with the returned velocity stays
+ * at rest relative to both bodies.
+ * @function
+ * @name computeLagrangePoints
+ * @param {{position: Vector, velocity: Vector, mass: number}} primary - The heavier body
+ * @param {{position: Vector, velocity: Vector, mass: number}} secondary - The lighter body
+ * @returns {{name: string, position: Vector, velocity: Vector}[]} L1 to L5 in world coordinates
+ */
+function computeLagrangePoints(primary, secondary) {
+  const frame = corotatingFrame(primary, secondary);
+  const m = frame.massRatio;
+  const collinear = (x) =>
+    x -
+    ((1 - m) * (x + m)) / Math.pow(Math.abs(x + m), 3) -
+    (m * (x - 1 + m)) / Math.pow(Math.abs(x - 1 + m), 3);
+  const gap = 1e-9;
+  const points = [
+    ["L1", findRoot(collinear, -m + gap, 1 - m - gap), 0],
+    ["L2", findRoot(collinear, 1 - m + gap, 2), 0],
+    ["L3", findRoot(collinear, -2, -m - gap), 0],
+    ["L4", 0.5 - m, Math.sqrt(3) / 2],
+    ["L5", 0.5 - m, -Math.sqrt(3) / 2],
+  ];
+  return points.map(([name, x, y]) => {
+    const offset = new Vector(x, y).mult(frame.distance).rotate(frame.angle);
+    return {
+      name,
+      position: Vector.add(frame.origin, offset),
+      velocity: new Vector(-offset.y, offset.x)
+        .mult(frame.angularVelocity)
+        .add(frame.velocity),
+    };
+  });
+}
+
+/**
+ * Calculates twice the effective potential of the rotating frame of two bodies
+ * at a point, 2U = w^2 d^2 + 2Gm1/r1 + 2Gm2/r2, where w is the frame's angular
+ * velocity, d the distance from the center of mass and r1, r2 the distances from
+ * the bodies. A test particle with Jacobi constant C can only reach points where
+ * 2U >= C, and the zero-velocity curves are where 2U = C.
+ * @function
+ * @name effectivePotential
+ * @param {Vector} position - The point in world coordinates
+ * @param {{position: Vector, mass: number}} primary - The heavier body
+ * @param {{position: Vector, mass: number}} secondary - The lighter body
+ * @param {Object} frame - The frame from corotatingFrame
+ * @param {number} gravity - Gravitational constant
+ * @returns {number} Twice the effective potential
+ */
+function effectivePotential(position, primary, secondary, frame, gravity) {
+  const distanceSquared =
+    (position.x - frame.origin.x) ** 2 + (position.y - frame.origin.y) ** 2;
+  return (
+    frame.angularVelocity * frame.angularVelocity * distanceSquared +
+    (2 * gravity * primary.mass) /
+      Math.hypot(
+        position.x - primary.position.x,
+        position.y - primary.position.y
+      ) +
+    (2 * gravity * secondary.mass) /
+      Math.hypot(
+        position.x - secondary.position.x,
+        position.y - secondary.position.y
+      )
+  );
+}
+
+/**
+ * Calculates the Jacobi constant of a test particle in the rotating frame of two
+ * bodies, C = 2U - v^2, where v is the particle's speed in the rotating frame.
+ * It is conserved while the two bodies stay on circular orbits and the particle
+ * is too light to disturb them.
+ * @function
+ * @name computeJacobiConstant
+ * @param {{position: Vector, velocity: Vector}} body - The test particle
+ * @param {{position: Vector, velocity: Vector, mass: number}} primary - The heavier body
+ * @param {{position: Vector, velocity: Vector, mass: number}} secondary - The lighter body
+ * @param {number} gravity - Gravitational constant
+ * @returns {number} The Jacobi constant
+ */
+function computeJacobiConstant(body, primary, secondary, gravity) {
+  const frame = corotatingFrame(primary, secondary);
+  const offset = Vector.sub(body.position, frame.origin);
+  const rotatingVelocity = Vector.sub(body.velocity, frame.velocity).sub(
+    -frame.angularVelocity * offset.y,
+    frame.angularVelocity * offset.x
+  );
+  return (
+    effectivePotential(body.position, primary, secondary, frame, gravity) -
+    rotatingVelocity.magSq()
+  );
+}
+
+/**
+ * @constant {Object} SPHERES_OF_INFLUENCE
+ * @description Radius of the region around a body of mass m, at distance d from a
+ * parent of mass M, inside which the body rather than its parent dominates the
+ * motion of satellites. The current distance stands in for the semimajor axis, so
+ * the radius is also defined for bodies on escape orbits.
+ * @property {Function} laplace - Laplace sphere of influence, d(m/M)^(2/5)
+ * @property {Function} hill - Hill sphere, d(m/3M)^(1/3)
+ */
+const SPHERES_OF_INFLUENCE = {
+  laplace(distance, mass, parentMass) {
+    return distance * Math.pow(mass / parentMass, 2 / 5);
+  },
+  hill(distance, mass, parentMass) {
+    return distance * Math.cbrt(mass / (3 * parentMass));
+  },
+};
+
+/**
+ * Chooses the parent of every body from the spheres of influence of the bodies
+ * around it. A body's parent is the most local heavier body whose sphere of
+ * influence it is inside, where bodies without a parent have an unbounded
+ * sphere. With hysteresis h, a body keeps its parent until it is h outside that
+ * parent's sphere, and only enters another sphere once it is h inside it, so
+ * bodies near a boundary do not flip back and forth. Only the
+ * config.maxParentCandidates most massive bodies are tested, and a parent is
+ * always heavier than its satellite, so the hierarchy has no cycles. Locked
+ * bodies keep their current parent.
+ * @function
+ * @name assignParentsBySphereOfInfluence
+ * @param {{position: Vector, mass: number}[]} bodies - The bodies
+ * @param {number[]} parents - Index of each body's current parent, -1 for none
+ * @param {Object} config - Settings, see DEFAULT_CONFIG
+ * @param {boolean[]} [locked=[]] - Whether each body keeps its current parent
+ * @returns {{parents: number[], radii: number[]}} Index of each body's new parent
+ * (-1 for none) and each body's sphere of influence radius around its current parent
+ */
+function assignParentsBySphereOfInfluence(
+  bodies,
+  parents,
+  config,
+  locked = []
+) {
+  const sphereOfInfluence =
+    SPHERES_OF_INFLUENCE[config.sphereOfInfluence] ||
+    SPHERES_OF_INFLUENCE.laplace;
+  const radii = bodies.map((body, i) => {
+    const parent = bodies[parents[i]];
+    return parent
+      ? sphereOfInfluence(
+          Vector.dist(body.position, parent.position),
+          body.mass,
+          parent.mass
+        )
+      : Infinity;
+  });
+  const candidates = bodies
+    .map((body, i) => i)
+    .sort((a, b) => bodies[b].mass - bodies[a].mass)
+    .slice(0, config.maxParentCandidates);
+
+  const newParents = bodies.map((body, i) => {
+    if (locked[i]) {
+      return parents[i];
+    }
+    let best = -1;
+    for (const c of candidates) {
+      if (bodies[c].mass <= body.mass) {
+        continue;
+      }
+      const limit =
+        radii[c] *
+        (c === parents[i]
+          ? 1 + config.soiHysteresis
+          : 1 - config.soiHysteresis);
+      if (Vector.dist(body.position, bodies[c].position) >= limit) {
+        continue;
+      }
+      if (
+        best === -1 ||
+        radii[c] < radii[best] ||
+        (radii[c] === radii[best] && c === parents[i])
+      ) {
+        best = c;
+      }
+    }
+    if (
+      best === -1 &&
+      candidates.length &&
+      bodies[candidates[0]].mass > body.mass
+    ) {
+      best = candidates[0];
+    }
+    return best;
+  });
+  return { parents: newParents, radii };
+}
+
+/**
+ * Finds every pair of overlapping circles using sweep and prune along the x axis.
+ * Two circles overlap when the distance between their centers is less than the sum
+ * of their radii.
+ * @function
+ * @name findOverlappingPairs
+ * @param {Vector[]} positions - Center of each circle
+ * @param {number[]} radii - Radius of each circle, in the same order as positions
+ * @returns {number[][]} Index pairs of overlapping circles, lower index first
+ */
+function findOverlappingPairs(positions, radii) {
+  const xs = Float64Array.from(positions, (position) => position.x);
+  const ys = Float64Array.from(positions, (position) => position.y);
+  const left = xs.map((x, i) => x - radii[i]);
+  const sorted = Array.from(xs, (x, i) => i).sort((a, b) => left[a] - left[b]);
+  const pairs = [];
+  for (let i = 0; i < sorted.length; i++) {
+    const a = sorted[i];
+    const right = xs[a] + radii[a];
+    for (let j = i + 1; j < sorted.length && left[sorted[j]] <= right; j++) {
+      const b = sorted[j];
+      const reach = radii[a] + radii[b];
+      const dx = xs[a] - xs[b];
+      const dy = ys[a] - ys[b];
+      if (dx * dx + dy * dy < reach * reach) {
+        pairs.push(a < b ? [a, b] : [b, a]);
+      }
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Calculates the gravitational acceleration of every body using the solver
+ * selected in config.forceSolver
+ * @function
+ * @name computeAccelerations
+ * @param {Vector[]} positions - Position of each body
+ * @param {number[]} masses - Mass of each body, in the same order as positions
+ * @param {Object} config - Simulation settings, see DEFAULT_CONFIG
+ * @returns {Vector[]} Acceleration of each body, in the same order as positions
+ */
+function computeAccelerations(positions, masses, config) {
+  const solve = FORCE_SOLVERS[config.forceSolver] || FORCE_SOLVERS.pairwise;
+  return solve(positions, masses, config);
+}
+
+/**
+ * Calculates the exact gravitational acceleration of every body by summing over
+ * every pair of bodies. Cost grows with the square of the number of bodies.
+ * Forces are Plummer softened, G * m * r / (r^2 + softening^2)^(3/2), so they
+ * stay finite as two bodies pass through each other. Bodies at the same position
+ * exert no force on each other, as in the Barnes-Hut solver.
+ * @function
+ * @name computePairwiseAccelerations
+ * @param {Vector[]} positions - Position of each body
+ * @param {number[]} masses - Mass of each body, in the same order as positions
+ * @param {Object} config - Simulation settings, see DEFAULT_CONFIG
+ * @returns {Vector[]} Acceleration of each body, in the same order as positions
+ */
+function computePairwiseAccelerations(positions, masses, config) {
+  const count = positions.length;
+  const xs = Float64Array.from(positions, (position) => position.x);
+  const ys = Float64Array.from(positions, (position) => position.y);
+  const ax = new Float64Array(count);
+  const ay = new Float64Array(count);
+  const softeningSquared = config.softening * config.softening;
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 1; j < count; j++) {
+      const dx = xs[j] - xs[i];
+      const dy = ys[j] - ys[i];
+      const distanceSquared = dx * dx + dy * dy;
+      if (distanceSquared === 0) {
+        continue;
+      }
+      const rSquared = distanceSquared + softeningSquared;
+      const strength = config.gravity / (rSquared * Math.sqrt(rSquared));
+      ax[i] += dx * strength * masses[j];
+      ay[i] += dy * strength * masses[j];
+      ax[j] -= dx * strength * masses[i];
+      ay[j] -= dy * strength * masses[i];
+    }
+  }
+  return positions.map((position, i) => new Vector(ax[i], ay[i]));
+}
+
+/**
+ * Approximates the gravitational acceleration of every body with the Barnes-Hut
+ * algorithm. Bodies are sorted into a quadtree and distant groups of bodies are
+ * treated as a single mass at their center of mass, which reduces the cost to
+ * roughly n log n.
+ * @function
+ * @name computeBarnesHutAccelerations
+ * @param {Vector[]} positions - Position of each body
+ * @param {number[]} masses - Mass of each body, in the same order as positions
+ * @param {Object} config - Simulation settings, see DEFAULT_CONFIG
+ * @returns {Vector[]} Acceleration of each body, in the same order as positions
+ */
+function computeBarnesHutAccelerations(positions, masses, config) {
+  const tree = QuadTree.fromPositions(positions, masses);
+  return positions.map((position, i) => {
+    const acceleration = tree.accelerationAt(
+      i,
+      position.x,
+      position.y,
+      config.openingAngle,
+      config.gravity,
+      config.softening
+    );
+    return new Vector(acceleration.x, acceleration.y);
+  });
+}
+
+/**
+ * @constant {Object<string, Function>} FORCE_SOLVERS
+ * @description Gravity solvers keyed by name, each taking positions, masses and the
+ * simulation settings and returning accelerations
+ */
+const FORCE_SOLVERS = {
+  pairwise: computePairwiseAccelerations,
+  barnesHut: computeBarnesHutAccelerations,
+};
+
+/**
+ * @constant {Object<string, Function>} INTEGRATORS
+ * @description Numerical integration schemes keyed by name.
+ * Each integrator advances the state in place by one step of length dt.
+ * Accelerations are calculated by the accelerate function passed in, which takes
+ * positions and masses. The state holds parallel arrays of positions, velocities
+ * and masses, and accelerations, the accelerations at the start of the step. If
+ * accelerations is missing the integrator evaluates and stores it. Integrators that
+ * evaluate the accelerations at the end of the step return them, so that they can
+ * be passed in as the next step's starting accelerations, and the others return null.
+ * - euler: semi-implicit (symplectic) Euler, first order
+ * - verlet: velocity Verlet (kick-drift-kick leapfrog), second order and symplectic
+ * - rk4: classical fourth order Runge-Kutta
+ */
+const INTEGRATORS = {
+  euler(state, dt, accelerate) {
+    if (!state.accelerations) {
+      state.accelerations = accelerate(state.positions, state.masses);
+    }
+    state.velocities.forEach((velocity, i) =>
+      velocity.add(Vector.mult(state.accelerations[i], dt))
+    );
+    state.positions.forEach((position, i) =>
+      position.add(Vector.mult(state.velocities[i], dt))
+    );
+    return null;
+  },
+
+  verlet(state, dt, accelerate) {
+    if (!state.accelerations) {
+      state.accelerations = accelerate(state.positions, state.masses);
+    }
+    state.velocities.forEach((velocity, i) =>
+      velocity.add(Vector.mult(state.accelerations[i], dt / 2))
+    );
+    state.positions.forEach((position, i) =>
+      position.add(Vector.mult(state.velocities[i], dt))
+    );
+    const accelerations = accelerate(state.positions, state.masses);
+    accelerations.forEach((acceleration, i) =>
+      state.velocities[i].add(Vector.mult(acceleration, dt / 2))
+    );
+    return accelerations;
+  },
+
+  rk4(state, dt, accelerate) {
+    const { positions, velocities, masses } = state;
+    const offset = (vectors, slopes, h) =>
+      vectors.map((vector, i) => Vector.add(vector, Vector.mult(slopes[i], h)));
+
+    if (!state.accelerations) {
+      state.accelerations = accelerate(positions, masses);
+    }
+    const k1v = state.accelerations;
+    const k1x = velocities;
+    const k2x = offset(velocities, k1v, dt / 2);
+    const k2v = accelerate(offset(positions, k1x, dt / 2), masses);
+    const k3x = offset(velocities, k2v, dt / 2);
+    const k3v = accelerate(offset(positions, k2x, dt / 2), masses);
+    const k4x = offset(velocities, k3v, dt);
+    const k4v = accelerate(offset(positions, k3x, dt), masses);
+
+    const combine = (a, b, c, d, i) =>
+      Vector.add(a[i], d[i])
+        .add(Vector.mult(b[i], 2))
+        .add(Vector.mult(c[i], 2))
+        .mult(dt / 6);
+    positions.forEach((position, i) =>
+      position.add(combine(k1x, k2x, k3x, k4x, i))
+    );
+    velocities.forEach((velocity, i) =>
+      velocity.add(combine(k1v, k2v, k3v, k4v, i))
+    );
+    return null;
+  },
+};
+
+/**
+ * Merges two bodies into one, conserving mass and momentum.
+ * The heavier body (or the primary body) survives and takes the combined mass,
+ * the center of mass position, the momentum-conserving velocity, the size of a disc
+ * with the combined area and a mass-weighted blend of both colors, mixed by the
+ * simulation's blendColors option.
+ * @function
+ * @name mergeBodies
+ * @param {Simulation} simulation - The simulation the bodies belong to
+ * @param {CelestialBody} a - First colliding body
+ * @param {CelestialBody} b - Second colliding body
+ * @returns {CelestialBody} The surviving body
+ */
+function mergeBodies(simulation, a, b) {
+  let [survivor, absorbed] = a.mass >= b.mass ? [a, b] : [b, a];
+  if (absorbed === simulation.bodies[0]) {
+    [survivor, absorbed] = [absorbed, survivor];
+  }
+  const totalMass = survivor.mass + absorbed.mass;
+  survivor.velocity = Vector.mult(survivor.velocity, survivor.mass)
+    .add(Vector.mult(absorbed.velocity, absorbed.mass))
+    .div(totalMass);
+  survivor.position = Vector.mult(survivor.position, survivor.mass)
+    .add(Vector.mult(absorbed.position, absorbed.mass))
+    .div(totalMass);
+  survivor.size = Math.sqrt(
+    survivor.size * survivor.size + absorbed.size * absorbed.size
+  );
+  survivor.color = simulation.blendColors(
+    survivor.color,
+    absorbed.color,
+    absorbed.mass / totalMass
+  );
+  survivor.mass = totalMass;
+  simulation.removeBody(absorbed, survivor, "merge");
+  return survivor;
+}
+
+/**
+ * Bounces two bodies off each other with a perfectly elastic collision along the
+ * line between their centers, then pushes them apart so they no longer overlap
+ * @function
+ * @name bounceBodies
+ * @param {Simulation} simulation - The simulation the bodies belong to
+ * @param {CelestialBody} a - First colliding body
+ * @param {CelestialBody} b - Second colliding body
+ * @returns {void}
+ */
+function bounceBodies(simulation, a, b) {
+  const normal = Vector.sub(b.position, a.position);
+  const distance = normal.mag();
+  if (distance === 0) {
+    return;
+  }
+  normal.div(distance);
+  const inverseMassA = 1 / a.mass;
+  const inverseMassB = 1 / b.mass;
+  const inverseMassSum = inverseMassA + inverseMassB;
+
+  const approachSpeed = Vector.sub(b.velocity, a.velocity).dot(normal);
+  if (approachSpeed < 0) {
+    const impulse = (-2 * approachSpeed) / inverseMassSum;
+    a.velocity.sub(Vector.mult(normal, impulse * inverseMassA));
+    b.velocity.add(Vector.mult(normal, impulse * inverseMassB));
+  }
+
+  const overlap = (a.size + b.size) / 2 - distance;
+  a.position.sub(
+    Vector.mult(normal, (overlap * inverseMassA) / inverseMassSum)
+  );
+  b.position.add(
+    Vector.mult(normal, (overlap * inverseMassB) / inverseMassSum)
+  );
+}
+
+/**
+ * Bounces two bodies off each other and shatters the lighter one into fragments
+ * if the impact is fast enough. Fragments share the lighter body's mass, area and
+ * post-bounce momentum, and fly apart in a fan facing away from the heavier body.
+ * Impacts that are too slow, that would produce fragments lighter than
+ * config.minFragmentMass, or whose lighter body is the primary body, merge instead.
+ * @function
+ * @name fragmentBodies
+ * @param {Simulation} simulation - The simulation the bodies belong to
+ * @param {CelestialBody} a - First colliding body
+ * @param {CelestialBody} b - Second colliding body
+ * @returns {void}
+ */
+function fragmentBodies(simulation, a, b) {
+  const [heavy, light] = a.mass >= b.mass ? [a, b] : [b, a];
+  const { config } = simulation;
+  const count = config.fragmentCount;
+  const impactSpeed = Vector.dist(a.velocity, b.velocity);
+  if (
+    impactSpeed < config.fragmentationSpeed ||
+    light.mass / count < config.minFragmentMass ||
+    light === simulation.bodies[0]
+  ) {
+    mergeBodies(simulation, a, b);
+    return;
+  }
+
+  bounceBodies(simulation, heavy, light);
+  const fragmentSize = light.size / Math.sqrt(count);
+  const orbitRadius = (heavy.size + fragmentSize) / 2 + fragmentSize;
+  const spread = Math.min(
+    (2 * Math.PI) / count,
+    Math.max((fragmentSize * 1.5) / orbitRadius, Math.PI / 2 / count)
+  );
+  const normal = Vector.sub(light.position, heavy.position).normalize();
+
+  const offsets = [];
+  for (let i = 0; i < count; i++) {
+    offsets.push(normal.copy().rotate((i - (count - 1) / 2) * spread));
+  }
+  const meanOffset = offsets
+    .reduce((sum, offset) => sum.add(offset), new Vector(0, 0))
+    .div(count);
+
+  for (const offset of offsets) {
+    const kick = Vector.sub(offset, meanOffset).mult(impactSpeed * 0.5);
+    const position = Vector.mult(offset, orbitRadius).add(heavy.position);
+    const velocity = Vector.add(light.velocity, kick);
+    simulation.createBody(
+      light.mass / count,
+      position.x,
+      position.y,
+      velocity.x,
+      velocity.y,
+      fragmentSize,
+      light.color,
+      light.parent
+    );
+  }
+  simulation.removeBody(light, heavy, "fragment");
+}
+
+/**
+ * @constant {Object<string, Function>} COLLISION_HANDLERS
+ * @description Collision responses keyed by name, each taking the simulation and the
+ * two colliding bodies.
+ * - none: bodies pass through each other
+ * - merge: perfectly inelastic merge into a single body
+ * - bounce: perfectly elastic bounce
+ * - fragment: elastic bounce that shatters the lighter body on fast impacts
+ */
+const COLLISION_HANDLERS = {
+  none: () => {},
+  merge: mergeBodies,
+  bounce: bounceBodies,
+  fragment: fragmentBodies,
+};
+
+/**
+ * @constant {Object} BOUNDARY_POLICIES
+ * @description What happens to a body beyond the world radius. Each policy is
+ * called with the simulation, the body, its offset from the center of mass and
+ * the center of mass ({position, velocity}).
+ * @property {Function} remove - Removes the body from the simulation, except the primary body bodies[0], which is kept
+ * @property {Function} wrap - Moves the body to the opposite side of the boundary, keeping its velocity
+ * @property {Function} reflect - Puts the body back on the boundary and mirrors its velocity off it
+ * @property {Function} keep - Leaves the body where it is
+ */
+const BOUNDARY_POLICIES = {
+  remove(simulation, body) {
+    if (body === simulation.bodies[0]) {
+      return;
+    }
+    simulation.removeBody(body, null, "boundary");
+    simulation.removedCount++;
+  },
+  wrap(simulation, body, offset, center) {
+    body.position = Vector.sub(
+      center.position,
+      offset.setMag(simulation.config.worldRadius)
+    );
+  },
+  reflect(simulation, body, offset, center) {
+    const normal = offset.copy().normalize();
+    const relativeVelocity = Vector.sub(body.velocity, center.velocity);
+    const outwardSpeed = relativeVelocity.dot(normal);
+    if (outwardSpeed > 0) {
+      body.velocity.sub(Vector.mult(normal, 2 * outwardSpeed));
+    }
+    body.position = Vector.add(
+      center.position,
+      normal.mult(simulation.config.worldRadius)
+    );
+  },
+  keep: () => {},
+};
+
+/**
+ * Quadtree used by the Barnes-Hut force solver.
+ * Each node covers a square region and stores the total mass and center of mass
+ * of the bodies inside it. Nodes are stored in flat typed arrays indexed by node
+ * number, the four children of a node being consecutive, and leaves hold a linked
+ * list of their bodies.
+ */
+class QuadTree {
+  /**
+   * @constructor
+   * @name QuadTree
+   * @param {number} capacity - Number of nodes to allocate room for, grown when needed
+   */
+  constructor(capacity) {
+    this.count = 0;
+    this.allocate(Math.max(capacity, 1));
+    this.stack = new Int32Array(4 * (QuadTree.MAX_DEPTH + 1));
+  }
+
+  /**
+   * @constant {number} MAX_DEPTH
+   * @description Depth below which nodes are no longer subdivided, so that
+   * coincident bodies end up sharing a leaf instead of recursing forever
+   */
+  static MAX_DEPTH = 24;
+
+  /**
+   * Builds a quadtree containing every body
+   * @method
+   * @name fromPositions
+   * @static
+   * @param {Vector[]} positions - Position of each body
+   * @param {number[]} masses - Mass of each body, in the same order as positions
+   * @returns {QuadTree} The tree
+   */
+  static fromPositions(positions, masses) {
+    const tree = new QuadTree(2 * positions.length + 1);
+    const count = positions.length;
+    tree.bodyX = Float64Array.from(positions, (position) => position.x);
+    tree.bodyY = Float64Array.from(positions, (position) => position.y);
+    tree.bodyMass = Float64Array.from(masses);
+    tree.nextBody = new Int32Array(count).fill(-1);
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (let i = 0; i < count; i++) {
+      minX = Math.min(minX, tree.bodyX[i]);
+      minY = Math.min(minY, tree.bodyY[i]);
+      maxX = Math.max(maxX, tree.bodyX[i]);
+      maxY = Math.max(maxY, tree.bodyY[i]);
+    }
+    tree.addNode(
+      (minX + maxX) / 2,
+      (minY + maxY) / 2,
+      Math.max(maxX - minX, maxY - minY, 1) / 2
+    );
+    for (let i = 0; i < count; i++) {
+      tree.insert(i);
+    }
+    for (let node = 0; node < tree.count; node++) {
+      if (tree.mass[node] > 0) {
+        tree.massX[node] /= tree.mass[node];
+        tree.massY[node] /= tree.mass[node];
+      }
+    }
+    return tree;
+  }
+
+  /**
+   * Replaces the node arrays with larger ones, keeping the existing nodes
+   * @method
+   * @name allocate
+   * @param {number} capacity - Number of nodes to allocate room for
+   * @returns {void}
+   */
+  allocate(capacity) {
+    const grow = (Type, old) => {
+      const array = new Type(capacity);
+      if (old) {
+        array.set(old.subarray(0, this.count));
+      }
+      return array;
+    };
+    this.centerX = grow(Float64Array, this.centerX);
+    this.centerY = grow(Float64Array, this.centerY);
+    this.halfSize = grow(Float64Array, this.halfSize);
+    this.mass = grow(Float64Array, this.mass);
+    this.massX = grow(Float64Array, this.massX);
+    this.massY = grow(Float64Array, this.massY);
+    this.firstChild = grow(Int32Array, this.firstChild);
+    this.firstBody = grow(Int32Array, this.firstBody);
+    this.capacity = capacity;
+  }
+
+  /**
+   * Appends an empty leaf node
+   * @method
+   * @name addNode
+   * @param {number} x - X coordinate of the region center
+   * @param {number} y - Y coordinate of the region center
+   * @param {number} halfSize - Half the side length of the region
+   * @returns {number} Index of the new node
+   */
+  addNode(x, y, halfSize) {
+    if (this.count === this.capacity) {
+      this.allocate(this.capacity * 2);
+    }
+    const node = this.count++;
+    this.centerX[node] = x;
+    this.centerY[node] = y;
+    this.halfSize[node] = halfSize;
+    this.firstChild[node] = -1;
+    this.firstBody[node] = -1;
+    return node;
+  }
+
+  /**
+   * Adds a body to the tree, subdividing the leaf it lands in if that leaf
+   * already holds a body. Until the tree is complete, massX and massY hold the
+   * mass weighted sums of the positions rather than the center of mass.
+   * @method
+   * @name insert
+   * @param {number} index - Index of the body
+   * @returns {void}
+   */
+  insert(index) {
+    const x = this.bodyX[index];
+    const y = this.bodyY[index];
+    const mass = this.bodyMass[index];
+    let node = 0;
+    for (let depth = 0; ; depth++) {
+      this.mass[node] += mass;
+      this.massX[node] += mass * x;
+      this.massY[node] += mass * y;
+      if (this.firstChild[node] < 0) {
+        const resident = this.firstBody[node];
+        if (resident < 0 || depth >= QuadTree.MAX_DEPTH) {
+          this.nextBody[index] = resident;
+          this.firstBody[node] = index;
+          return;
+        }
+        this.subdivide(node);
+        const child = this.childAt(
+          node,
+          this.bodyX[resident],
+          this.bodyY[resident]
+        );
+        const residentMass = this.bodyMass[resident];
+        this.mass[child] += residentMass;
+        this.massX[child] += residentMass * this.bodyX[resident];
+        this.massY[child] += residentMass * this.bodyY[resident];
+        this.firstBody[child] = resident;
+        this.firstBody[node] = -1;
+      }
+      node = this.childAt(node, x, y);
+    }
+  }
+
+  /**
+   * Gives a leaf four empty children
+   * @method
+   * @name subdivide
+   * @param {number} node - Index of the leaf
+   * @returns {void}
+   */
+  subdivide(node) {
+    const quarter = this.halfSize[node] / 2;
+    const x = this.centerX[node];
+    const y = this.centerY[node];
+    this.firstChild[node] = this.count;
+    this.addNode(x - quarter, y - quarter, quarter);
+    this.addNode(x + quarter, y - quarter, quarter);
+    this.addNode(x - quarter, y + quarter, quarter);
+    this.addNode(x + quarter, y + quarter, quarter);
+  }
+
+  /**
+   * Returns the child of a node whose region contains a point
+   * @method
+   * @name childAt
+   * @param {number} node - Index of the node
+   * @param {number} x - X coordinate of the point
+   * @param {number} y - Y coordinate of the point
+   * @returns {number} Index of the child node
+   */
+  childAt(node, x, y) {
+    return (
+      this.firstChild[node] +
+      (x < this.centerX[node] ? 0 : 1) +
+      (y < this.centerY[node] ? 0 : 2)
+    );
+  }
+
+  /**
+   * Calculates the gravitational acceleration the tree exerts on a body.
+   * A node is treated as a single point mass when its size divided by its distance
+   * is below the opening angle, otherwise its children are visited.
+   * Bodies at the same position as the body exert no force on it.
+   * @method
+   * @name accelerationAt
+   * @param {number} index - Index of the body, excluded from its own acceleration
+   * @param {number} x - X coordinate of the body
+   * @param {number} y - Y coordinate of the body
+   * @param {number} openingAngle - Barnes-Hut opening angle
+   * @param {number} gravity - Gravitational constant
+   * @param {number} [softening=0] - Plummer softening length
+   * @returns {{x: number, y: number}} The acceleration
+   */
+  accelerationAt(index, x, y, openingAngle, gravity, softening = 0) {
+    const softeningSquared = softening * softening;
+    const openingAngleSquared = openingAngle * openingAngle;
+    const stack = this.stack;
+    let ax = 0;
+    let ay = 0;
+    let top = 0;
+    stack[top++] = 0;
+    while (top > 0) {
+      const node = stack[--top];
+      if (this.mass[node] === 0) {
+        continue;
+      }
+      if (this.firstChild[node] < 0) {
+        for (let i = this.firstBody[node]; i >= 0; i = this.nextBody[i]) {
+          const dx = this.bodyX[i] - x;
+          const dy = this.bodyY[i] - y;
+          const distanceSquared = dx * dx + dy * dy;
+          if (i !== index && distanceSquared > 0) {
+            const rSquared = distanceSquared + softeningSquared;
+            const strength =
+              (gravity * this.bodyMass[i]) / (rSquared * Math.sqrt(rSquared));
+            ax += dx * strength;
+            ay += dy * strength;
+          }
+        }
+        continue;
+      }
+      const dx = this.massX[node] - x;
+      const dy = this.massY[node] - y;
+      const distanceSquared = dx * dx + dy * dy;
+      const halfSize = this.halfSize[node];
+      if (
+        4 * halfSize * halfSize < openingAngleSquared * distanceSquared &&
+        (Math.abs(x - this.centerX[node]) > halfSize ||
+          Math.abs(y - this.centerY[node]) > halfSize)
+      ) {
+        const rSquared = distanceSquared + softeningSquared;
+        const strength =
+          (gravity * this.mass[node]) / (rSquared * Math.sqrt(rSquared));
+        ax += dx * strength;
+        ay += dy * strength;
+      } else {
+        const firstChild = this.firstChild[node];
+        stack[top++] = firstChild;
+        stack[top++] = firstChild + 1;
+        stack[top++] = firstChild + 2;
+        stack[top++] = firstChild + 3;
+      }
+    }
+    return { x: ax, y: ay };
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    STATE_VERSION,
+    DEFAULT_CONFIG,
+    SIMULATION_EVENTS,
+    Vector,
+    CelestialBody,
+    Simulation,
+    createSimulation,
+    computeOrbitalElements,
+    stateFromOrbitalElements,
+    corotatingFrame,
+    computeLagrangePoints,
+    effectivePotential,
+    computeJacobiConstant,
+    SPHERES_OF_INFLUENCE,
+    assignParentsBySphereOfInfluence,
+    findOverlappingPairs,
+    computeAccelerations,
+    FORCE_SOLVERS,
+    INTEGRATORS,
+    COLLISION_HANDLERS,
+    BOUNDARY_POLICIES,
+    QuadTree,
+  };
+}
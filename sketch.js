@@ -1,33 +1,241 @@
-
 /**
- * @typedef {Object} CelestialBody
- * @property {number} mass - Mass of the celestial body
- * @property {p5.Vector} position - Current position vector
- * @property {p5.Vector} velocity - Current velocity vector
- * @property {p5.Vector} acceleration - Current acceleration vector
- * @property {number} size - Visual diameter of the celestial body
- * @property {string|p5.Color} color - Color of the celestial body
- * @property {CelestialBody|null} parent - Parent body (null for primary bodies)
- * @property {number} gravitationalParameter - Standard gravitational parameter
- * @property {number} timeOut - Counter for escape trajectory tracking
- * @property {number} eccentricity - Orbital eccentricity
- * @property {p5.Vector} eccentricityVector - Vector describing orbital eccentricity
- * @property {number} semimajorAxis - Length of the semi-major axis of the orbit
- * @property {number} semiminorAxis - Length of the semi-minor axis of the orbit
+ * @type {Simulation}
+ * @description The physics simulation drawn by this sketch, see simulation.js.
+ * Merging bodies blend their colors with p5's lerpColor.
  */
+const simulation = createSimulation(
+  {},
+  {
+    blendColors: (bodyColor, otherColor, amount) =>
+      lerpColor(color(bodyColor), color(otherColor), amount),
+  }
+);
 
 /**
- * Array to store celestial bodies.
- * This array holds all the celestial bodies in the simulation.
- * @type {CelestialBody[]}
+ * @type {Object}
+ * @description Settings of the simulation, edited from the config menu.
+ * See DEFAULT_CONFIG in simulation.js for the available settings.
  */
-let bodies = [];
+const physicsConfig = simulation.config;
 
 /**
  * @constant {number}
- * @description Gravitational constant used in force calculations
+ * @description Distance of the eccentricity from 1 within which an orbit is drawn as a parabola
+ */
+const PARABOLIC_TOLERANCE = 1e-3;
+
+/**
+ * @type {number}
+ * @description Real time not yet simulated, measured in physics ticks
+ * @default 0
+ */
+let tickAccumulator = 0;
+
+/**
+ * @type {Object}
+ * @description Playback state of the simulation
+ * @property {boolean} paused - Whether the physics is stopped
+ * @property {boolean} rewinding - Whether the simulation is currently playing backwards through the history
+ * @property {number} timeScale - Multiplier applied to the speed of simulated time
+ * @property {number} ticksPerSecond - Physics ticks simulated per second of real time
+ * @property {number} frameRate - Frames drawn per second
+ * @property {number} maxTicksPerFrame - Maximum ticks run in one frame before dropping the backlog
+ * @property {number} minTimeScale - Smallest allowed time scale
+ * @property {number} maxTimeScale - Largest allowed time scale
+ * @property {number} frameBudget - Milliseconds of physics allowed per frame before the backlog is dropped
+ * @property {number} historyInterval - Physics ticks between snapshots stored for rewinding
+ * @property {number} historyLength - Maximum number of snapshots kept for rewinding
+ */
+let timeControls = {
+  paused: false,
+  rewinding: false,
+  timeScale: 1,
+  ticksPerSecond: 90,
+  frameRate: 90,
+  maxTicksPerFrame: 10,
+  minTimeScale: 0.1,
+  maxTimeScale: 50,
+  frameBudget: 40,
+  historyInterval: 10,
+  historyLength: 200,
+};
+
+/**
+ * @type {Object}
+ * @description State of the conservation diagnostics panel
+ * @property {boolean} visible - Whether the panel is drawn
+ * @property {number} sampleInterval - Frames between samples
+ * @property {number} historyLength - Number of samples shown in each plot
+ * @property {Object|null} baseline - Conserved quantities at the start of the run
+ * @property {string} baselineKey - Identifies the set of bodies the baseline was taken for
+ * @property {Object[]} history - Recent samples from getDiagnostics, oldest first
+ */
+let diagnostics = {
+  visible: false,
+  sampleInterval: 5,
+  historyLength: 200,
+  baseline: null,
+  baselineKey: "",
+  history: [],
+};
+
+/**
+ * @type {Object}
+ * @description Settings for the N-body trajectory prediction overlay
+ * @property {boolean} enabled - Whether predictions are computed and drawn
+ * @property {number} horizon - Physics ticks simulated ahead
+ * @property {number} refreshInterval - Frames between recomputing the prediction
+ * @property {number} maxBodies - Number of most massive bodies included in the prediction
+ * @property {number} closeApproachDistance - Gap between two body surfaces that counts as a close approach
+ * @property {number} parentCheckInterval - Predicted ticks between checks for parent changes
+ */
+let predictionConfig = {
+  enabled: false,
+  horizon: 1000,
+  refreshInterval: 30,
+  maxBodies: 100,
+  closeApproachDistance: 20,
+  parentCheckInterval: 5,
+};
+
+/**
+ * @type {Object}
+ * @description Seed for every random decision in the sketch, so a run can be reproduced
+ * @property {number} seed - Seed passed to randomSeed, picked at random when the page loads
+ * @property {number} draws - Number of values drawn from the generator since it was seeded
+ */
+let seedConfig = {
+  seed: Math.floor(Math.random() * 1000000),
+  draws: 0,
+};
+
+/**
+ * @type {Object}
+ * @description Settings for the trajectory recorder
+ * @property {number} interval - Physics ticks between samples
+ * @property {number} maxRows - Rows kept before recording stops, one row per body per sample
+ * @property {string} format - Download format, "csv" or "json"
+ */
+let recorderConfig = {
+  interval: 10,
+  maxRows: 100000,
+  format: "csv",
+};
+
+/**
+ * @type {Object}
+ * @description State of the trajectory recorder
+ * @property {boolean} recording - Whether samples are being taken
+ * @property {boolean} full - Whether recording stopped because maxRows was reached
+ * @property {number} ticksSinceSample - Physics ticks since the last sample
+ * @property {Array<Array<number|null>>} rows - Recorded rows, in the order of RECORDER_COLUMNS
+ */
+let recorder = {
+  recording: false,
+  full: false,
+  ticksSinceSample: 0,
+  rows: [],
+};
+
+/**
+ * @type {Object}
+ * @description Settings for the motion trails drawn behind bodies
+ * @property {boolean} enabled - Whether trails are recorded and drawn
+ * @property {number} length - Points kept per trail, unless a body sets its own length
+ * @property {number} sampleInterval - Physics ticks between trail points
+ */
+let trailConfig = {
+  enabled: false,
+  length: 150,
+  sampleInterval: 2,
+};
+
+/**
+ * @type {Map<number, {points: Object[], length: number|null}>}
+ * @description Trail of every body by id. Points ({x, y, time}) are in the
+ * reference frame they were recorded in, oldest first, and length overrides
+ * trailConfig.length when set.
+ */
+let trails = new Map();
+
+/**
+ * @type {number}
+ * @description Physics ticks run since the last trail point was stored
+ * @default 0
+ */
+let ticksSinceTrailSample = 0;
+
+/**
+ * @type {Object}
+ * @description Settings for the event log panel
+ * @property {boolean} visible - Whether the log panel is shown
+ * @property {number} maxEntries - Number of most recent events kept in the log
+ * @property {Object<string, boolean>} types - Whether each type of event in SIMULATION_EVENTS is logged
+ */
+let eventLogConfig = {
+  visible: false,
+  maxEntries: 200,
+  types: Object.fromEntries(SIMULATION_EVENTS.map((type) => [type, true])),
+};
+
+/**
+ * @type {p5.Element}
+ * @description Panel listing the most recent simulation events
+ */
+let eventLog;
+
+/**
+ * @type {Object}
+ * @description Settings for the orbit sonification, which plays a tone for each
+ * orbiting body with a pitch set by its orbital period and a hit at each periapsis
+ * @property {boolean} enabled - Whether the orbits are being played
+ * @property {boolean} muted - Whether the output is silenced while playing
+ * @property {number} volume - Master volume, from 0 to 1
+ * @property {number} maxVoices - Number of most massive orbiting bodies given a tone
+ * @property {number} hitVoices - Number of periapsis hits that can sound at once
+ * @property {number} referencePeriod - Orbital period, in physics ticks, played at referencePitch
+ * @property {number} referencePitch - Frequency in hertz of a body with the reference period
+ * @property {number} lowestPitch - Tones below this frequency are raised by octaves
+ * @property {number} highestPitch - Tones above this frequency are lowered by octaves, at least twice lowestPitch
+ */
+let audioConfig = {
+  enabled: false,
+  muted: false,
+  volume: 0.5,
+  maxVoices: 8,
+  hitVoices: 4,
+  referencePeriod: 1000,
+  referencePitch: 220,
+  lowestPitch: 110,
+  highestPitch: 1760,
+};
+
+/**
+ * @type {Object|null}
+ * @description Sound sources of the sonification, created the first time audio is
+ * started: a sine oscillator for each voice, a pool of oscillators with envelopes
+ * for periapsis hits, the pitch of each playing body by id and the output level
+ */
+let sonification = null;
+
+/**
+ * @type {Object|null}
+ * @description Most recent prediction from predictTrajectories, null if there is none
+ */
+let prediction = null;
+
+/**
+ * @type {RingBuffer}
+ * @description Recent snapshots from takeSnapshot, oldest first, used for rewinding
+ */
+let stateHistory;
+
+/**
+ * @type {number}
+ * @description Physics ticks run since the last snapshot was stored
+ * @default 0
  */
-const GRAVITY = 0.1;
+let ticksSinceSnapshot = 0;
 
 /**
  * @constant {Object[]} SATELLITE_CONFIGS
@@ -40,6 +248,11 @@ const GRAVITY = 0.1;
  * @property {number} distance.max - Maximum distance from parent
  * @property {number} eccentricity - Orbital eccentricity
  * @property {number} [parentIndex] - Index of parent body in bodies array
+ * @property {number} [count=1] - Number of satellites added from the entry
+ * @property {number} [direction] - 1 for prograde, -1 for retrograde, random if not set
+ * @property {boolean} [orbitsBarycenter] - Orbit the center of mass of the bodies added before, instead of the parent
+ * @property {string} [lagrangePoint] - Place the satellite near this Lagrange point ("L1" to "L5") of the parent and the body at secondaryIndex, within the distance constraints
+ * @property {number} [secondaryIndex] - Index of the lighter body of the Lagrange pair in bodies array
  */
 const SATELLITE_CONFIGS = [
   {
@@ -96,6 +309,197 @@ const CENTRAL_STAR_CONFIG = {
   velocity: { x: 0, y: 0 },
 };
 
+/**
+ * @constant {Object} SCENARIOS
+ * @description Scenes that can be loaded from the SCENARIO menu. Stars are placed
+ * exactly as given, in the format of CENTRAL_STAR_CONFIG, then satellites are
+ * added in the format of SATELLITE_CONFIGS.
+ * The figure-eight is the Chenciner-Montgomery solution of three equal masses,
+ * scaled to masses of 2000 and a length unit of 150, with velocities scaled by
+ * sqrt(Gm/150) for a gravitational constant of 0.1.
+ * @property {Object[]} stars - Bodies with a fixed position and velocity
+ * @property {Object[]} satellites - Satellites placed around the stars
+ * @property {number} [zoom=1] - Camera zoom the scene is built and shown at
+ */
+const SCENARIOS = {
+  default: {
+    stars: [CENTRAL_STAR_CONFIG],
+    satellites: SATELLITE_CONFIGS,
+  },
+  binaryStar: {
+    stars: [
+      {
+        mass: 3000,
+        size: 35,
+        color: "orange",
+        position: { x: 0, y: 0 },
+        velocity: { x: 0, y: 0 },
+      },
+    ],
+    satellites: [
+      {
+        mass: 2000,
+        size: 30,
+        color: "gold",
+        distance: { min: 120, max: 120 },
+        eccentricity: 0,
+        direction: 1,
+      },
+      {
+        mass: 20,
+        size: 12,
+        color: "teal",
+        distance: { min: 330, max: 350 },
+        eccentricity: 0,
+        direction: 1,
+        orbitsBarycenter: true,
+      },
+      {
+        mass: 10,
+        size: 10,
+        color: "purple",
+        distance: { min: 450, max: 480 },
+        eccentricity: 0,
+        direction: 1,
+        orbitsBarycenter: true,
+      },
+    ],
+    zoom: 0.6,
+  },
+  figureEight: {
+    stars: [
+      {
+        mass: 2000,
+        size: 16,
+        color: "red",
+        position: { x: 145.500654, y: -36.4631295 },
+        velocity: { x: 0.53832564, y: 0.49925294 },
+      },
+      {
+        mass: 2000,
+        size: 16,
+        color: "green",
+        position: { x: -145.500654, y: 36.4631295 },
+        velocity: { x: 0.53832564, y: 0.49925294 },
+      },
+      {
+        mass: 2000,
+        size: 16,
+        color: "blue",
+        position: { x: 0, y: 0 },
+        velocity: { x: -1.07665129, y: -0.99850588 },
+      },
+    ],
+    satellites: [],
+    zoom: 1.5,
+  },
+  trojans: {
+    stars: [
+      {
+        mass: 10000,
+        size: 50,
+        color: "yellow",
+        position: { x: 0, y: 0 },
+        velocity: { x: 0, y: 0 },
+      },
+    ],
+    satellites: [
+      {
+        mass: 10,
+        size: 18,
+        color: "orange",
+        distance: { min: 300, max: 300 },
+        eccentricity: 0,
+        direction: 1,
+      },
+      {
+        mass: 0.01,
+        size: 3,
+        color: "gray",
+        distance: { min: 0, max: 15 },
+        eccentricity: 0,
+        count: 6,
+        lagrangePoint: "L4",
+        secondaryIndex: 1,
+      },
+      {
+        mass: 0.01,
+        size: 3,
+        color: "gray",
+        distance: { min: 0, max: 15 },
+        eccentricity: 0,
+        count: 6,
+        lagrangePoint: "L5",
+        secondaryIndex: 1,
+      },
+    ],
+    zoom: 0.8,
+  },
+  moons: {
+    stars: [CENTRAL_STAR_CONFIG],
+    satellites: [
+      {
+        mass: 800,
+        size: 25,
+        color: "steelblue",
+        distance: { min: 380, max: 380 },
+        eccentricity: 0,
+        direction: 1,
+      },
+      {
+        mass: 2,
+        size: 6,
+        color: "lightgray",
+        distance: { min: 35, max: 90 },
+        eccentricity: 0,
+        direction: 1,
+        parentIndex: 1,
+        count: 4,
+      },
+    ],
+    zoom: 0.8,
+  },
+  asteroidRing: {
+    stars: [
+      {
+        mass: 8000,
+        size: 40,
+        color: "yellow",
+        position: { x: 0, y: 0 },
+        velocity: { x: 0, y: 0 },
+      },
+    ],
+    satellites: [
+      {
+        mass: 0.05,
+        size: 3,
+        color: "gray",
+        distance: { min: 180, max: 230 },
+        eccentricity: 0,
+        direction: 1,
+        count: 120,
+      },
+      {
+        mass: 100,
+        size: 15,
+        color: "green",
+        distance: { min: 320, max: 320 },
+        eccentricity: 0,
+        direction: 1,
+      },
+    ],
+  },
+};
+
+/**
+ * @type {Object}
+ * @description Scene built when the simulation is restarted
+ * @property {string} scenario - Key of the scene in SCENARIOS
+ */
+let scenarioConfig = {
+  scenario: "default",
+};
+
 /** 
  * @type {boolean} 
  * @description Flag to track if the mouse is hovering over the menu
@@ -113,354 +517,3543 @@ let menu;
  * @type {Object}
  * @property {number} massMin - Minimum mass for new satellites
  * @property {number} massMax - Maximum mass for new satellites
- * @property {number} size - Visual size of new satellites
- * @property {p5.Color} color - Color of new satellites
+ * @property {number} size - Visual size of new satellites, -1 to scale it with the mass
+ * @property {p5.Color} color - Color of new satellites, picked at random in setup
  * @property {number} eccentricity - Orbital eccentricity of new satellites
  */
-let newSatelliteConfig = {};
+let newSatelliteConfig = {
+  massMin: 25,
+  massMax: 500,
+  size: -1,
+  color: null,
+  eccentricity: 0,
+};
 
 /**
- * Returns the horizontal center coordinate of the canvas
- * @function
- * @returns {number} The x-coordinate of the canvas center
+ * @type {Object}
+ * @description Orbit of the next satellite added from the ADD_SATELLITE menu
+ * @property {number} parent - Id of the parent body
+ * @property {number} semimajorAxis - Semimajor axis, negative for hyperbolic orbits
+ * @property {number} eccentricity - Orbital eccentricity
+ * @property {number} argumentOfPeriapsis - Angle of periapsis from the x axis in degrees
+ * @property {number} trueAnomaly - Angle from periapsis to the satellite in degrees
+ * @property {string} direction - "prograde" (counterclockwise) or "retrograde"
  */
-const centerX = () => width / 2;
+let orbitSpecConfig = {
+  parent: 0,
+  semimajorAxis: 150,
+  eccentricity: 0,
+  argumentOfPeriapsis: 0,
+  trueAnomaly: 0,
+  direction: "prograde",
+};
 
 /**
- * Returns the vertical center coordinate of the canvas
- * @function
- * @returns {number} The y-coordinate of the canvas center
+ * @type {Object}
+ * @description Camera looking at the simulation
+ * @property {number} x - X coordinate in the reference frame shown at the center of the canvas
+ * @property {number} y - Y coordinate in the reference frame shown at the center of the canvas
+ * @property {number} zoom - Screen pixels per world unit
+ * @property {number} minZoom - Smallest allowed zoom
+ * @property {number} maxZoom - Largest allowed zoom
+ * @property {CelestialBody|null} followTarget - Body the camera is locked onto
+ * @property {boolean} showSpheresOfInfluence - Whether each body's sphere of influence is drawn
+ * @property {Set<number>} trackedIds - Ids of the bodies pointed at by an arrow at the canvas edge while off screen
  */
-const centerY = () => height / 2;
+let view = {
+  x: 0,
+  y: 0,
+  zoom: 1,
+  minZoom: 0.02,
+  maxZoom: 50,
+  followTarget: null,
+  showSpheresOfInfluence: false,
+  trackedIds: new Set(),
+};
 
 /**
- * Initializes the simulation environment and creates initial celestial bodies
- * @function
- * @name setup
- * @returns {void}
+ * @type {Object}
+ * @description Reference frame the simulation is viewed in
+ * @property {string} type - Key of the frame in REFERENCE_FRAMES
+ * @property {number} body - Id of the body the "body" frame is centered on, and of the first body of the "corotating" pair
+ * @property {number} secondBody - Id of the second body of the "corotating" pair
  */
-function setup() {
-  frameRate(90);
-  createCanvas(windowWidth, windowHeight);
-
-  const centralStar = new CelestialBody(
-    CENTRAL_STAR_CONFIG.mass,
-    CENTRAL_STAR_CONFIG.position.x,
-    CENTRAL_STAR_CONFIG.position.y,
-    CENTRAL_STAR_CONFIG.velocity.x,
-    CENTRAL_STAR_CONFIG.velocity.y,
-    CENTRAL_STAR_CONFIG.size,
-    CENTRAL_STAR_CONFIG.color
-  );
-  bodies.push(centralStar);
+let frameConfig = {
+  type: "barycentric",
+  body: 0,
+  secondBody: 1,
+};
 
-  SATELLITE_CONFIGS.forEach((config) => {
-    const parent = config.parentIndex
-      ? bodies[config.parentIndex]
-      : centralStar;
-    parent.addSatellite(
-      config.mass,
-      config.size,
-      config.color,
-      generateRandomCoordinates(
-        parent,
-        config.distance.min,
-        config.distance.max
-      ),
-      config.eccentricity
-    );
-  });
-  createMenu();
-}
+/**
+ * @type {Object}
+ * @description Settings for the Lagrange point and zero-velocity curve overlay
+ * @property {boolean} showPoints - Whether L1 to L5 of the pair are drawn
+ * @property {boolean} showCurves - Whether the zero-velocity curves of the test body are drawn
+ * @property {number} primary - Id of the heavier body of the pair
+ * @property {number} secondary - Id of the lighter body of the pair
+ * @property {number} testBody - Id of the body whose Jacobi constant sets the zero-velocity curves
+ * @property {string} point - Lagrange point new bodies are spawned at
+ * @property {number} gridSize - Cells along each side of the grid the curves are traced on
+ */
+let lagrangeConfig = {
+  showPoints: false,
+  showCurves: false,
+  primary: 0,
+  secondary: 1,
+  testBody: 3,
+  point: "L4",
+  gridSize: 120,
+};
 
 /**
- * @function inputHandler
- * @description Handles input changes in the menu
- * @param {Event} e - Input event object
- * @returns {void}
+ * @type {{origin: Vector, angle: number}}
+ * @description Current reference frame from computeFrame, updated every frame.
+ * A point p in world coordinates is at (p - origin) rotated by -angle in the frame.
  */
-const inputHandler = function (e) {
-  const config = {
-    "bodies[0].mass": { obj: bodies[0], attr: "mass", type: Number },
-    "bodies[0].color": { obj: bodies[0], attr: "color", type: String },
-    "bodies[0].size": { obj: bodies[0], attr: "size", type: Number },
-    "newSatelliteConfig.massMin": {
-      obj: newSatelliteConfig,
-      attr: "massMin",
-      type: Number,
-    },
-    "newSatelliteConfig.massMax": {
-      obj: newSatelliteConfig,
-      attr: "massMax",
-      type: Number,
-    },
-    "newSatelliteConfig.size": {
-      obj: newSatelliteConfig,
-      attr: "size",
-      type: Number,
-    },
-    "newSatelliteConfig.color": {
-      obj: newSatelliteConfig,
-      attr: "color",
-      type: String,
-    },
-    "newSatelliteConfig.eccentricity": {
-      obj: newSatelliteConfig,
-      attr: "eccentricity",
-      type: Number,
-    },
-  };
-  // console.log(newSatelliteConfig)
-  if (e.target.value) {
-    config[e.target.id]["obj"][config[e.target.id]["attr"]] = config[
-      e.target.id
-    ]["type"](e.target.value);
-  }
+let frame = { origin: new Vector(0, 0), angle: 0 };
+
+/**
+ * @constant {Object} REFERENCE_FRAMES
+ * @description Reference frames the simulation can be viewed in. Each returns
+ * the origin and rotation of the frame from the bodies it is built on.
+ * @property {Function} inertial - The fixed world frame
+ * @property {Function} barycentric - Centered on the center of mass of every body
+ * @property {Function} body - Centered on one body
+ * @property {Function} corotating - Centered on the center of mass of two bodies
+ * and rotating with them, so both stay on the x axis
+ */
+const REFERENCE_FRAMES = {
+  inertial: () => ({ origin: new Vector(0, 0), angle: 0 }),
+  barycentric: () => ({ origin: simulation.barycenter().position, angle: 0 }),
+  body: (body) => ({ origin: body.position.copy(), angle: 0 }),
+  corotating: (body, secondBody) => corotatingFrame(body, secondBody),
 };
 
 /**
- * Creates and configures the configuration menu interface
- * @function createMenu
- * @description Sets up a menu with configuration options for the central star and new satellites.
- * Creates input fields for mass, color, size, and other orbital parameters.
- * Initializes the menu button, menu container, and all input handlers.
- * The menu includes:
- * - Central star configuration (mass, color, size)
- * - New planet configuration (mass range, size, color, eccentricity)
- * - Clear button to remove all satellites
- * @returns {void}
+ * @type {CelestialBody|null}
+ * @description Body shown in the inspector
+ * @default null
  */
-function createMenu() {
-  let menuButton = createButton("config")
-    .style("z-index", 2)
-    .position(0, 2)
-    .mouseClicked(openMenu);
-  menuButton.mouseOver(() => {
-    menuHover = true;
-  });
-  menuButton.mouseOut(() => {
-    menuHover = false;
-  });
-  menu = createElement("menu")
-    .style("visibility", "hidden")
-    .position(10, 10)
-    .style("list-style-type", "none")
-    .style("background-color", "#EEEEEE")
-    .style("padding", "15px")
-    .style("border-radius", "5px")
-    .style("width", "auto")
-    .style("display", "inline-block")
-    .style("min-width", "250px")
-    .style("border", "2px solid #666666")
-    .style("opacity", 0.95)
-    .style("box-shadow", "0 2px 4px rgba(0, 0, 0, 0.2)");
+let selectedBody = null;
 
-  menu.mouseOver(() => {
-    menuHover = true;
-  });
-  menu.mouseOut(() => {
-    menuHover = false;
-  });
-  newSatelliteConfig = {
-    massMin: 25,
-    massMax: 500,
-    size: -1,
-    color: color(random(255), random(255), random(255)),
-    eccentricity: 0,
-  };
+/**
+ *  @type {HTMLElement}
+ * @description inspector panel showing the selected body
+ */
+let inspector;
 
-  // Central star configuration
-  createElement("li", "CENTRAL_STAR_CONFIG")
-    .parent(menu)
-    .style("text-align", "center")
-    .style("margin-bottom", "5px");
-  createMenuRow(
-    "mass",
-    createInput(String(CENTRAL_STAR_CONFIG.mass), "number"),
-    "bodies[0].mass"
-  );
+/**
+ * @type {Object}
+ * @description Settings for launching satellites by dragging
+ * @property {number} velocityScale - Launch speed per world unit of drag
+ * @property {number} previewTicks - Physics ticks simulated for the trajectory preview
+ */
+let launchConfig = {
+  velocityScale: 0.02,
+  previewTicks: 600,
+};
 
-  createMenuRow(
-    "color",
-    createInput(String(CENTRAL_STAR_CONFIG.color), "text"),
-    "bodies[0].color"
-  );
+/**
+ * @type {Object|null}
+ * @description Satellite being launched by the current drag, null when not launching
+ * @property {Vector} start - World position where the drag started
+ * @property {Vector} end - World position of the cursor
+ * @property {CelestialBody} parent - Body the launch velocity is relative to
+ * @property {Object} properties - Mass, size and color of the new satellite
+ * @property {Vector[]} preview - Predicted path of the new satellite
+ */
+let launch = null;
 
-  createMenuRow(
-    "size",
-    createInput(String(CENTRAL_STAR_CONFIG.size), "number"),
-    "bodies[0].size"
-  );
+/**
+ * @type {number}
+ * @description Distance in pixels the mouse has been dragged since the last press
+ * @default 0
+ */
+let dragDistance = 0;
 
-  // Satellite configuration
-  createElement("li", "NEW_PLANET_CONFIG")
-    .parent(menu)
-    .style("text-align", "center")
-    .style("margin-top", "20px")
-    .style("margin-bottom", "5px");
+/**
+ * Returns the horizontal center coordinate of the canvas
+ * @function
+ * @returns {number} The x-coordinate of the canvas center
+ */
+const centerX = () => width / 2;
 
-  createMenuRow(
-    "Mass min",
-    createInput(String(newSatelliteConfig.massMin), "number"),
-    "newSatelliteConfig.massMin"
-  );
+/**
+ * Returns the vertical center coordinate of the canvas
+ * @function
+ * @returns {number} The y-coordinate of the canvas center
+ */
+const centerY = () => height / 2;
 
-  createMenuRow(
-    "Mass max",
-    createInput(String(newSatelliteConfig.massMax), "number"),
-    "newSatelliteConfig.massMax"
+/**
+ * Converts a point on the canvas to world coordinates
+ * @function
+ * @name screenToWorld
+ * @param {number} screenX - X coordinate on the canvas
+ * @param {number} screenY - Y coordinate on the canvas
+ * @returns {Vector} The point in world coordinates
+ */
+function screenToWorld(screenX, screenY) {
+  return frameToWorld(
+    new Vector(
+      (screenX - centerX()) / view.zoom + view.x,
+      (screenY - centerY()) / view.zoom + view.y
+    )
   );
+}
 
-  createMenuRow(
-    "Size",
-    createInput(String(newSatelliteConfig.size), "number"),
-    "newSatelliteConfig.size"
+/**
+ * Converts a point in world coordinates to a point on the canvas
+ * @function
+ * @name worldToScreen
+ * @param {number} worldX - X coordinate in the world
+ * @param {number} worldY - Y coordinate in the world
+ * @returns {Vector} The point on the canvas
+ */
+function worldToScreen(worldX, worldY) {
+  const point = worldToFrame(new Vector(worldX, worldY));
+  return new Vector(
+    (point.x - view.x) * view.zoom + centerX(),
+    (point.y - view.y) * view.zoom + centerY()
   );
+}
 
-  createMenuRow(
-    "Color",
-    createInput(String(newSatelliteConfig.color), "text"),
-    "newSatelliteConfig.color"
-  );
+/**
+ * Converts a point in world coordinates to coordinates in a reference frame
+ * @function
+ * @name worldToFrame
+ * @param {Vector} point - The point in world coordinates
+ * @param {{origin: Vector, angle: number}} [reference=frame] - The reference frame
+ * @returns {Vector} The point in the reference frame
+ */
+function worldToFrame(point, reference = frame) {
+  return Vector.sub(point, reference.origin).rotate(-reference.angle);
+}
 
-  createMenuRow(
-    "Eccentricity",
-    createSlider(0, 1, newSatelliteConfig.eccentricity, 0.0001),
-    "newSatelliteConfig.eccentricity"
-  );
-  // Other configuration
-  createElement("li", "OTHER")
-    .parent(menu)
-    .style("text-align", "center")
-    .style("margin-top", "20px")
-    .style("margin-bottom", "5px");
-  createElement("li")
-    .parent(menu)
-    .style("text-align", "center")
-    .style("margin-top", "20px")
-    .style("margin-bottom", "5px")
-    .child(
-      createButton("clear").mouseClicked(() => {
-        bodies = bodies.slice(0, 1);
-      })
-    );
-  document.body.getElementsByTagName("input").forEach((element) => {
-    element.addEventListener("input", inputHandler);
-  });
+/**
+ * Converts a point in a reference frame to world coordinates
+ * @function
+ * @name frameToWorld
+ * @param {Vector} point - The point in the reference frame
+ * @param {{origin: Vector, angle: number}} [reference=frame] - The reference frame
+ * @returns {Vector} The point in world coordinates
+ */
+function frameToWorld(point, reference = frame) {
+  return point.copy().rotate(reference.angle).add(reference.origin);
 }
 
 /**
- * @function 
- * @name windowResized
- * @description Handles window resize events and redraws the canvas
+ * Calculates the origin and rotation of the reference frame chosen in frameConfig.
+ * Falls back to the barycentric frame if a body the frame is built on no longer exists.
+ * @function
+ * @name computeFrame
+ * @returns {{origin: Vector, angle: number}} The reference frame
+ */
+function computeFrame() {
+  const frameOf =
+    REFERENCE_FRAMES[frameConfig.type] || REFERENCE_FRAMES.barycentric;
+  const bodies = [frameConfig.body, frameConfig.secondBody]
+    .slice(0, frameOf.length)
+    .map((id) => simulation.bodies.find((body) => body.id === id));
+  if (
+    bodies.some((body) => !body) ||
+    (bodies.length === 2 && bodies[0] === bodies[1])
+  ) {
+    return REFERENCE_FRAMES.barycentric();
+  }
+  return frameOf(...bodies);
+}
+
+/**
+ * Applies the camera transform so that drawing happens in reference frame coordinates
+ * @function
+ * @name applyViewTransform
  * @returns {void}
  */
-function windowResized() {
-  resizeCanvas(windowWidth, windowHeight);
-  redraw();
+function applyViewTransform() {
+  translate(centerX(), centerY());
+  scale(view.zoom);
+  translate(-view.x, -view.y);
 }
 
 /**
- * Creates a menu row with label and input element
+ * Applies the reference frame transform, after applyViewTransform, so that
+ * drawing happens in world coordinates
  * @function
- * @name createMenuRow
- * @param {string} labelText - Text for the label
- * @param {p5.Element} inputElement - Input element to add
- * @param {string} inputId - ID for the input element
- * @returns {p5.Element} The created menu row element
+ * @name applyFrameTransform
+ * @returns {void}
  */
-function createMenuRow(labelText, inputElement, inputId) {
+function applyFrameTransform() {
+  rotate(-frame.angle);
+  translate(-frame.origin.x, -frame.origin.y);
+}
+
+/**
+ * Changes the reference frame. Trails are discarded since they were recorded in
+ * the previous frame.
+ * @function
+ * @name setReferenceFrame
+ * @param {string} type - Key of the frame in REFERENCE_FRAMES
+ * @returns {void}
+ */
+function setReferenceFrame(type) {
+  frameConfig.type = type;
+  frame = computeFrame();
+  clearTrails();
+}
+
+/**
+ * Fills a body select with the current bodies and selects the body id stored in
+ * its setting. If that body no longer exists the setting moves to the first body.
+ * @function
+ * @name updateBodyOptions
+ * @param {HTMLSelectElement} select - The select, with the id of its setting in SETTINGS
+ * @returns {void}
+ */
+function updateBodyOptions(select) {
+  const setting = SETTINGS[select.id];
+  const target = setting.target();
+  select.replaceChildren(
+    ...simulation.bodies.map((body) => new Option(`body ${body.id}`, body.id))
+  );
+  if (
+    simulation.bodies.length &&
+    !simulation.bodies.some((body) => body.id === target[setting.attr])
+  ) {
+    target[setting.attr] = simulation.bodies[0].id;
+  }
+  select.value = String(target[setting.attr]);
+}
+
+/**
+ * Updates the reference frame and moves the camera onto the followed body.
+ * If the followed body was replaced (e.g. by loading a state) the body with the
+ * same id is followed instead, and following stops if the body no longer exists.
+ * @function
+ * @name updateView
+ * @returns {void}
+ */
+function updateView() {
+  frame = computeFrame();
+  view.followTarget = resolveBody(view.followTarget);
+  if (view.followTarget) {
+    const target = worldToFrame(view.followTarget.position);
+    view.x = target.x;
+    view.y = target.y;
+  }
+}
+
+/**
+ * Finds the current instance of a body. Loading a state replaces every body with
+ * a new object, so references held outside the bodies array are looked up by id.
+ * @function
+ * @name resolveBody
+ * @param {CelestialBody|null} body - A possibly outdated reference to a body
+ * @returns {CelestialBody|null} The body with the same id, or null if it no longer exists
+ */
+function resolveBody(body) {
+  if (!body || simulation.bodies.includes(body)) {
+    return body;
+  }
+  return simulation.bodies.find((other) => other.id === body.id) || null;
+}
+
+/**
+ * Resets the camera to show the origin at 1:1 scale and stops following
+ * @function
+ * @name resetView
+ * @returns {void}
+ */
+function resetView() {
+  view.x = 0;
+  view.y = 0;
+  view.zoom = 1;
+  view.followTarget = null;
+}
+
+/**
+ * Shows or hides the sphere of influence of every body
+ * @function
+ * @name toggleSpheresOfInfluence
+ * @returns {void}
+ */
+function toggleSpheresOfInfluence() {
+  view.showSpheresOfInfluence = !view.showSpheresOfInfluence;
+  document.getElementById("view.soiToggle").textContent =
+    view.showSpheresOfInfluence ? "hide SOI" : "show SOI";
+}
+
+/**
+ * Finds the body drawn under a point on the canvas
+ * @function
+ * @name bodyAtScreen
+ * @param {number} screenX - X coordinate on the canvas
+ * @param {number} screenY - Y coordinate on the canvas
+ * @param {number} [tolerance=5] - Extra distance in pixels around each body that still counts as a hit
+ * @returns {CelestialBody|null} The closest body under the point, or null if there is none
+ */
+function bodyAtScreen(screenX, screenY, tolerance = 5) {
+  const point = screenToWorld(screenX, screenY);
+  let closest = null;
+  let closestDistance = Infinity;
+  for (const body of simulation.bodies) {
+    const distance = Vector.dist(point, body.position);
+    if (
+      distance < closestDistance &&
+      distance * view.zoom <= (body.size * view.zoom) / 2 + tolerance
+    ) {
+      closest = body;
+      closestDistance = distance;
+    }
+  }
+  return closest;
+}
+
+/**
+ * Initializes the simulation environment and creates initial celestial bodies
+ * @function
+ * @name setup
+ * @returns {void}
+ */
+function setup() {
+  loadSettings();
+  frameRate(timeControls.frameRate);
+  createCanvas(windowWidth, windowHeight).elt.addEventListener(
+    "contextmenu",
+    (event) => event.preventDefault()
+  );
+  stateHistory = new RingBuffer(timeControls.historyLength);
+  reseed();
+  createEventLog();
+  simulation.on("periapsis", playPeriapsisHit);
+
+  if (!loadStateFromUrl()) {
+    const scenario = SCENARIOS[scenarioConfig.scenario];
+    view.zoom = scenario.zoom ?? 1;
+    createScene(scenario);
+  }
+  newSatelliteConfig.color = color(
+    seededRandom(255),
+    seededRandom(255),
+    seededRandom(255)
+  );
+  createMenu();
+  createInspector();
+  syncMenuInputs();
+  window.addEventListener("hashchange", () => {
+    if (loadStateFromUrl()) {
+      syncMenuInputs();
+    }
+  });
+}
+
+/**
+ * Builds a scene from SCENARIOS, then moves it so that its center of mass is at
+ * rest at the origin
+ * @function
+ * @name createScene
+ * @param {Object} scenario - The scene, see SCENARIOS
+ * @returns {void}
+ */
+function createScene(scenario) {
+  for (const star of scenario.stars) {
+    simulation.createBody(
+      star.mass,
+      star.position.x,
+      star.position.y,
+      star.velocity.x,
+      star.velocity.y,
+      star.size,
+      star.color
+    );
+  }
+  for (const config of scenario.satellites) {
+    for (let i = 0; i < (config.count ?? 1); i++) {
+      addConfiguredSatellite(config);
+    }
+  }
+  simulation.centerOnBarycenter();
+}
+
+/**
+ * Adds one satellite described in the format of SATELLITE_CONFIGS, at a random
+ * distance within its distance constraints
+ * @function
+ * @name addConfiguredSatellite
+ * @param {Object} config - The satellite, see SATELLITE_CONFIGS
+ * @returns {CelestialBody} The new satellite
+ */
+function addConfiguredSatellite(config) {
+  const parent = simulation.bodies[config.parentIndex ?? 0];
+  const { min, max } = config.distance;
+
+  if (config.lagrangePoint) {
+    const point = computeLagrangePoints(
+      parent,
+      simulation.bodies[config.secondaryIndex]
+    ).find((other) => other.name === config.lagrangePoint);
+    const offset = generateRandomCoordinates(min, max);
+    return simulation.createBody(
+      config.mass,
+      point.position.x + offset.x,
+      point.position.y + offset.y,
+      point.velocity.x,
+      point.velocity.y,
+      config.size,
+      config.color,
+      parent
+    );
+  }
+
+  if (config.orbitsBarycenter) {
+    const center = simulation.barycenter();
+    const offset = generateRandomCoordinates(min, max);
+    const direction = config.direction ?? (seededRandom() > 0.5 ? 1 : -1);
+    const velocity = offset
+      .copy()
+      .rotate((Math.PI / 2) * direction)
+      .setMag(
+        Math.sqrt(
+          (physicsConfig.gravity *
+            (center.mass + config.mass) *
+            (1 - config.eccentricity)) /
+            offset.mag()
+        )
+      )
+      .add(center.velocity);
+    return simulation.createBody(
+      config.mass,
+      center.position.x + offset.x,
+      center.position.y + offset.y,
+      velocity.x,
+      velocity.y,
+      config.size,
+      config.color,
+      parent
+    );
+  }
+
+  return parent.addSatellite(
+    config.mass,
+    config.size,
+    config.color,
+    generateRandomCoordinates(min, max),
+    config.eccentricity,
+    config.direction ?? (seededRandom() > 0.5 ? 1 : -1)
+  );
+}
+
+/**
+ * @constant {string}
+ * @description localStorage key under which the settings are saved
+ */
+const SETTINGS_STORAGE_KEY = "gravity.settings";
+
+/**
+ * @constant {Object<string, Object>} SETTINGS
+ * @description Schema of every setting edited from the config menu, keyed by the
+ * id of its menu input. The menu rows are generated from it, typed values are
+ * checked against it before they are applied, with the error shown under the
+ * input, and persistent settings are saved to localStorage.
+ * The default of each setting is its value when the page loads, before saved
+ * settings are applied, and is stored in default by loadSettings.
+ * @property {string} label - Label shown next to the input
+ * @property {Function} target - Returns the object holding the setting
+ * @property {string} attr - Property of the target holding the value
+ * @property {string} type - "number", "integer", "color", "select" or "body" (the id of a body)
+ * @property {number} [min] - Smallest allowed value
+ * @property {boolean} [exclusiveMin] - Whether min itself is not allowed
+ * @property {number} [max] - Largest allowed value
+ * @property {Function} [options] - Returns the values offered by a select
+ * @property {Object} [slider] - Shows a slider with {min, max, step} in input units instead of a text field
+ * @property {Function} [toInput] - Converts the value into the input's value, e.g. for a logarithmic slider
+ * @property {Function} [fromInput] - Converts the input's value back into the value
+ * @property {Function} [validate] - Returns an error message for a value that passed the type and range checks, or null
+ * @property {Function} [onChange] - Called after a new value has been applied from the menu
+ * @property {boolean} [persist=true] - Whether the setting is saved to localStorage
+ */
+const SETTINGS = {
+  "bodies[0].mass": {
+    label: "mass",
+    target: () => simulation.bodies[0],
+    attr: "mass",
+    type: "number",
+    min: 0,
+    exclusiveMin: true,
+    persist: false,
+  },
+  "bodies[0].color": {
+    label: "color",
+    target: () => simulation.bodies[0],
+    attr: "color",
+    type: "color",
+    persist: false,
+  },
+  "bodies[0].size": {
+    label: "size",
+    target: () => simulation.bodies[0],
+    attr: "size",
+    type: "number",
+    min: 0,
+    exclusiveMin: true,
+    persist: false,
+  },
+  "newSatelliteConfig.massMin": {
+    label: "Mass min",
+    target: () => newSatelliteConfig,
+    attr: "massMin",
+    type: "integer",
+    min: 1,
+    validate: (value) =>
+      value > newSatelliteConfig.massMax ? "must not exceed Mass max" : null,
+  },
+  "newSatelliteConfig.massMax": {
+    label: "Mass max",
+    target: () => newSatelliteConfig,
+    attr: "massMax",
+    type: "integer",
+    min: 1,
+    validate: (value) =>
+      value < newSatelliteConfig.massMin ? "must be at least Mass min" : null,
+  },
+  "newSatelliteConfig.size": {
+    label: "Size",
+    target: () => newSatelliteConfig,
+    attr: "size",
+    type: "number",
+    validate: (value) =>
+      value === -1 || value > 0
+        ? null
+        : "must be positive, or -1 to scale with mass",
+  },
+  "newSatelliteConfig.color": {
+    label: "Color",
+    target: () => newSatelliteConfig,
+    attr: "color",
+    type: "color",
+    persist: false,
+  },
+  "newSatelliteConfig.eccentricity": {
+    label: "Eccentricity",
+    target: () => newSatelliteConfig,
+    attr: "eccentricity",
+    type: "number",
+    min: 0,
+    max: 1,
+    slider: { min: 0, max: 1, step: 0.0001 },
+  },
+  "orbitSpecConfig.parent": {
+    label: "Parent",
+    target: () => orbitSpecConfig,
+    attr: "parent",
+    type: "body",
+    persist: false,
+  },
+  "orbitSpecConfig.semimajorAxis": {
+    label: "Semimajor axis",
+    target: () => orbitSpecConfig,
+    attr: "semimajorAxis",
+    type: "number",
+    validate: (value) => (value === 0 ? "must not be 0" : null),
+  },
+  "orbitSpecConfig.eccentricity": {
+    label: "Eccentricity",
+    target: () => orbitSpecConfig,
+    attr: "eccentricity",
+    type: "number",
+    min: 0,
+  },
+  "orbitSpecConfig.argumentOfPeriapsis": {
+    label: "Arg. periapsis",
+    target: () => orbitSpecConfig,
+    attr: "argumentOfPeriapsis",
+    type: "number",
+  },
+  "orbitSpecConfig.trueAnomaly": {
+    label: "True anomaly",
+    target: () => orbitSpecConfig,
+    attr: "trueAnomaly",
+    type: "number",
+  },
+  "orbitSpecConfig.direction": {
+    label: "Direction",
+    target: () => orbitSpecConfig,
+    attr: "direction",
+    type: "select",
+    options: () => ["prograde", "retrograde"],
+  },
+  "physicsConfig.gravity": {
+    label: "Gravity",
+    target: () => physicsConfig,
+    attr: "gravity",
+    type: "number",
+    min: 0,
+    exclusiveMin: true,
+  },
+  "physicsConfig.integrator": {
+    label: "Integrator",
+    target: () => physicsConfig,
+    attr: "integrator",
+    type: "select",
+    options: () => Object.keys(INTEGRATORS),
+  },
+  "physicsConfig.timeStep": {
+    label: "Time step",
+    target: () => physicsConfig,
+    attr: "timeStep",
+    type: "number",
+    min: 0,
+    exclusiveMin: true,
+  },
+  "physicsConfig.substeps": {
+    label: "Substeps",
+    target: () => physicsConfig,
+    attr: "substeps",
+    type: "integer",
+    min: 1,
+  },
+  "physicsConfig.forceSolver": {
+    label: "Solver",
+    target: () => physicsConfig,
+    attr: "forceSolver",
+    type: "select",
+    options: () => Object.keys(FORCE_SOLVERS),
+  },
+  "physicsConfig.openingAngle": {
+    label: "Opening angle",
+    target: () => physicsConfig,
+    attr: "openingAngle",
+    type: "number",
+    min: 0,
+    max: 1.5,
+    slider: { min: 0, max: 1.5, step: 0.05 },
+  },
+  "physicsConfig.softening": {
+    label: "Softening",
+    target: () => physicsConfig,
+    attr: "softening",
+    type: "number",
+    min: 0,
+  },
+  "physicsConfig.maxSubdivisions": {
+    label: "Max subdivisions",
+    target: () => physicsConfig,
+    attr: "maxSubdivisions",
+    type: "integer",
+    min: 1,
+  },
+  "physicsConfig.encounterDistance": {
+    label: "Encounter gap",
+    target: () => physicsConfig,
+    attr: "encounterDistance",
+    type: "number",
+    min: 0,
+  },
+  "physicsConfig.encounterAccuracy": {
+    label: "Encounter accuracy",
+    target: () => physicsConfig,
+    attr: "encounterAccuracy",
+    type: "number",
+    min: 0,
+    exclusiveMin: true,
+  },
+  "physicsConfig.collisionMode": {
+    label: "Collisions",
+    target: () => physicsConfig,
+    attr: "collisionMode",
+    type: "select",
+    options: () => Object.keys(COLLISION_HANDLERS),
+  },
+  "physicsConfig.fragmentCount": {
+    label: "Fragments",
+    target: () => physicsConfig,
+    attr: "fragmentCount",
+    type: "integer",
+    min: 2,
+  },
+  "physicsConfig.fragmentationSpeed": {
+    label: "Shatter speed",
+    target: () => physicsConfig,
+    attr: "fragmentationSpeed",
+    type: "number",
+    min: 0,
+  },
+  "physicsConfig.boundary": {
+    label: "Boundary",
+    target: () => physicsConfig,
+    attr: "boundary",
+    type: "select",
+    options: () => Object.keys(BOUNDARY_POLICIES),
+  },
+  "physicsConfig.worldRadius": {
+    label: "World radius",
+    target: () => physicsConfig,
+    attr: "worldRadius",
+    type: "number",
+    min: 1,
+  },
+  "physicsConfig.sphereOfInfluence": {
+    label: "SOI",
+    target: () => physicsConfig,
+    attr: "sphereOfInfluence",
+    type: "select",
+    options: () => Object.keys(SPHERES_OF_INFLUENCE),
+  },
+  "physicsConfig.soiHysteresis": {
+    label: "SOI hysteresis",
+    target: () => physicsConfig,
+    attr: "soiHysteresis",
+    type: "number",
+    min: 0,
+    max: 0.9,
+  },
+  "predictionConfig.horizon": {
+    label: "Horizon",
+    target: () => predictionConfig,
+    attr: "horizon",
+    type: "integer",
+    min: 1,
+  },
+  "predictionConfig.closeApproachDistance": {
+    label: "Approach gap",
+    target: () => predictionConfig,
+    attr: "closeApproachDistance",
+    type: "number",
+    min: 0,
+  },
+  "recorderConfig.interval": {
+    label: "Interval",
+    target: () => recorderConfig,
+    attr: "interval",
+    type: "integer",
+    min: 1,
+  },
+  "recorderConfig.maxRows": {
+    label: "Max rows",
+    target: () => recorderConfig,
+    attr: "maxRows",
+    type: "integer",
+    min: 1,
+  },
+  "recorderConfig.format": {
+    label: "Format",
+    target: () => recorderConfig,
+    attr: "format",
+    type: "select",
+    options: () => ["csv", "json"],
+  },
+  "seedConfig.seed": {
+    label: "Seed",
+    target: () => seedConfig,
+    attr: "seed",
+    type: "integer",
+    persist: false,
+  },
+  "scenarioConfig.scenario": {
+    label: "Scenario",
+    target: () => scenarioConfig,
+    attr: "scenario",
+    type: "select",
+    options: () => Object.keys(SCENARIOS),
+    onChange: restartWithSeed,
+  },
+  "trailConfig.length": {
+    label: "Trail length",
+    target: () => trailConfig,
+    attr: "length",
+    type: "integer",
+    min: 0,
+  },
+  "frameConfig.type": {
+    label: "Frame",
+    target: () => frameConfig,
+    attr: "type",
+    type: "select",
+    options: () => Object.keys(REFERENCE_FRAMES),
+    onChange: () => setReferenceFrame(frameConfig.type),
+  },
+  "frameConfig.body": {
+    label: "Frame body",
+    target: () => frameConfig,
+    attr: "body",
+    type: "body",
+    persist: false,
+    onChange: () => setReferenceFrame(frameConfig.type),
+  },
+  "frameConfig.secondBody": {
+    label: "Second body",
+    target: () => frameConfig,
+    attr: "secondBody",
+    type: "body",
+    persist: false,
+    onChange: () => setReferenceFrame(frameConfig.type),
+  },
+  "physicsConfig.closeApproachDistance": {
+    label: "Approach gap",
+    target: () => physicsConfig,
+    attr: "closeApproachDistance",
+    type: "number",
+    min: 0,
+  },
+  "lagrangeConfig.primary": {
+    label: "Primary",
+    target: () => lagrangeConfig,
+    attr: "primary",
+    type: "body",
+    persist: false,
+  },
+  "lagrangeConfig.secondary": {
+    label: "Secondary",
+    target: () => lagrangeConfig,
+    attr: "secondary",
+    type: "body",
+    persist: false,
+  },
+  "lagrangeConfig.testBody": {
+    label: "Test body",
+    target: () => lagrangeConfig,
+    attr: "testBody",
+    type: "body",
+    persist: false,
+  },
+  "lagrangeConfig.point": {
+    label: "Point",
+    target: () => lagrangeConfig,
+    attr: "point",
+    type: "select",
+    options: () => ["L1", "L2", "L3", "L4", "L5"],
+  },
+  "timeControls.timeScale": {
+    label: "Speed",
+    target: () => timeControls,
+    attr: "timeScale",
+    type: "number",
+    min: timeControls.minTimeScale,
+    max: timeControls.maxTimeScale,
+    slider: {
+      min: Math.log10(timeControls.minTimeScale),
+      max: Math.log10(timeControls.maxTimeScale),
+      step: 0.01,
+    },
+    toInput: (value) => Math.log10(value),
+    fromInput: (value) => Math.pow(10, value),
+  },
+  "timeControls.frameRate": {
+    label: "Frame rate",
+    target: () => timeControls,
+    attr: "frameRate",
+    type: "integer",
+    min: 1,
+    max: 240,
+    onChange: () => frameRate(timeControls.frameRate),
+  },
+  "audioConfig.volume": {
+    label: "Volume",
+    target: () => audioConfig,
+    attr: "volume",
+    type: "number",
+    min: 0,
+    max: 1,
+    slider: { min: 0, max: 1, step: 0.01 },
+  },
+};
+
+/**
+ * @constant {Object[]} MENU_SECTIONS
+ * @description Layout of the config menu. Each section has a title and a list of
+ * rows, each either the id of a setting in SETTINGS, which gets a generated row,
+ * or a function that builds a custom row such as a row of buttons.
+ * @property {string} title - Heading of the section
+ * @property {Array<string|Function>} rows - Rows of the section, in order
+ */
+const MENU_SECTIONS = [
+  {
+    title: "CENTRAL_STAR_CONFIG",
+    rows: ["bodies[0].mass", "bodies[0].color", "bodies[0].size"],
+  },
+  {
+    title: "NEW_PLANET_CONFIG",
+    rows: [
+      "newSatelliteConfig.massMin",
+      "newSatelliteConfig.massMax",
+      "newSatelliteConfig.size",
+      "newSatelliteConfig.color",
+      "newSatelliteConfig.eccentricity",
+    ],
+  },
+  {
+    title: "ADD_SATELLITE",
+    rows: [
+      "orbitSpecConfig.parent",
+      "orbitSpecConfig.semimajorAxis",
+      "orbitSpecConfig.eccentricity",
+      "orbitSpecConfig.argumentOfPeriapsis",
+      "orbitSpecConfig.trueAnomaly",
+      "orbitSpecConfig.direction",
+      () =>
+        createButtonRow(
+          createButton("add satellite")
+            .id("orbitSpecConfig.add")
+            .mouseClicked(addSatelliteFromMenu)
+        ),
+    ],
+  },
+  {
+    title: "PHYSICS_CONFIG",
+    rows: [
+      "physicsConfig.gravity",
+      "physicsConfig.integrator",
+      "physicsConfig.timeStep",
+      "physicsConfig.substeps",
+      "physicsConfig.forceSolver",
+      "physicsConfig.openingAngle",
+      "physicsConfig.softening",
+      "physicsConfig.maxSubdivisions",
+      "physicsConfig.encounterDistance",
+      "physicsConfig.encounterAccuracy",
+      "physicsConfig.collisionMode",
+      "physicsConfig.fragmentCount",
+      "physicsConfig.fragmentationSpeed",
+      "physicsConfig.boundary",
+      "physicsConfig.worldRadius",
+      "physicsConfig.sphereOfInfluence",
+      "physicsConfig.soiHysteresis",
+    ],
+  },
+  {
+    title: "OTHER",
+    rows: [
+      () =>
+        createButtonRow(
+          createButton("clear").mouseClicked(() => {
+            for (const body of simulation.bodies.slice(1)) {
+              simulation.removeBody(body);
+            }
+          }),
+          createButton("diagnostics").mouseClicked(() => {
+            diagnostics.visible = !diagnostics.visible;
+          }),
+          createButton("reset settings").mouseClicked(resetSettings)
+        ),
+    ],
+  },
+  {
+    title: "PREDICTION",
+    rows: [
+      () =>
+        createButtonRow(
+          createButton("show prediction")
+            .id("predictionConfig.toggle")
+            .mouseClicked(togglePrediction)
+        ),
+      "predictionConfig.horizon",
+      "predictionConfig.closeApproachDistance",
+    ],
+  },
+  {
+    title: "RECORDER",
+    rows: [
+      "recorderConfig.interval",
+      "recorderConfig.maxRows",
+      "recorderConfig.format",
+      () =>
+        createButtonRow(
+          createButton("record")
+            .id("recorder.toggle")
+            .mouseClicked(toggleRecording),
+          createButton("download").mouseClicked(downloadRecording),
+          createButton("clear").mouseClicked(clearRecording)
+        ),
+    ],
+  },
+  {
+    title: "STATE",
+    rows: [
+      () => {
+        const fileInput = createFileInput(importStateFile).style(
+          "display",
+          "none"
+        );
+        return createButtonRow(
+          createButton("export").mouseClicked(() => {
+            saveJSON(serializeState(), "gravity-state.json");
+          }),
+          createButton("import").mouseClicked(() => {
+            fileInput.elt.click();
+          }),
+          createButton("share link").mouseClicked(shareStateLink),
+          fileInput
+        );
+      },
+      "seedConfig.seed",
+      "scenarioConfig.scenario",
+      () =>
+        createButtonRow(
+          createButton("restart with seed").mouseClicked(restartWithSeed)
+        ),
+    ],
+  },
+  {
+    title: "VIEW",
+    rows: [
+      () =>
+        createElement(
+          "li",
+          "scroll to zoom, right-drag to pan, F to follow the body under the cursor. Drag to launch a satellite, hold shift for a circular orbit or alt for escape speed"
+        )
+          .parent(menu)
+          .style("font-size", "small")
+          .style("max-width", "250px")
+          .style("margin-bottom", "5px"),
+      () =>
+        createButtonRow(
+          createButton("reset view").mouseClicked(resetView),
+          createButton("show trails")
+            .id("trailConfig.toggle")
+            .mouseClicked(toggleTrails),
+          createButton("show SOI")
+            .id("view.soiToggle")
+            .mouseClicked(toggleSpheresOfInfluence)
+        ),
+      "trailConfig.length",
+      "frameConfig.type",
+      "frameConfig.body",
+      "frameConfig.secondBody",
+    ],
+  },
+  {
+    title: "EVENTS",
+    rows: [
+      () =>
+        createButtonRow(
+          createButton("show log")
+            .id("eventLogConfig.toggle")
+            .mouseClicked(toggleEventLog),
+          createButton("clear log").mouseClicked(clearEventLog)
+        ),
+      "physicsConfig.closeApproachDistance",
+    ],
+  },
+  {
+    title: "LAGRANGE",
+    rows: [
+      "lagrangeConfig.primary",
+      "lagrangeConfig.secondary",
+      "lagrangeConfig.testBody",
+      () =>
+        createButtonRow(
+          createButton("show points")
+            .id("lagrangeConfig.pointsToggle")
+            .mouseClicked(() => toggleLagrangeOverlay("showPoints")),
+          createButton("show curves")
+            .id("lagrangeConfig.curvesToggle")
+            .mouseClicked(() => toggleLagrangeOverlay("showCurves"))
+        ),
+      "lagrangeConfig.point",
+      () =>
+        createButtonRow(
+          createButton("spawn at point")
+            .id("lagrangeConfig.spawn")
+            .mouseClicked(spawnAtLagrangePoint)
+        ),
+    ],
+  },
+  {
+    title: "TIME",
+    rows: [
+      () => {
+        const rewindButton = createButton("rewind");
+        const stopRewinding = () => {
+          timeControls.rewinding = false;
+        };
+        rewindButton.mousePressed(() => {
+          timeControls.rewinding = true;
+        });
+        rewindButton.mouseReleased(stopRewinding);
+        rewindButton.mouseOut(stopRewinding);
+        return createButtonRow(
+          rewindButton,
+          createButton(timeControls.paused ? "resume" : "pause")
+            .id("timeControls.pause")
+            .mouseClicked(togglePause),
+          createButton("step").mouseClicked(stepOnce)
+        );
+      },
+      "timeControls.timeScale",
+      "timeControls.frameRate",
+    ],
+  },
+  {
+    title: "AUDIO",
+    rows: [
+      () =>
+        createButtonRow(
+          createButton("start audio")
+            .id("audioConfig.toggle")
+            .mouseClicked(toggleAudio),
+          createButton("mute").id("audioConfig.mute").mouseClicked(toggleMute)
+        ),
+      "audioConfig.volume",
+    ],
+  },
+];
+
+/**
+ * @function inputHandler
+ * @description Handles input changes in the menu: the value is checked against
+ * its setting in SETTINGS and applied and saved if it is valid. Otherwise the
+ * error is shown under the input and the setting keeps its previous value.
+ * @param {Event} e - Input event object
+ * @returns {void}
+ */
+const inputHandler = function (e) {
+  const setting = SETTINGS[e.target.id];
+  if (!setting || !setting.target()) {
+    return;
+  }
+  const { value, error } = parseSetting(setting, e.target.value);
+  showSettingError(e.target, error);
+  if (error) {
+    return;
+  }
+  setting.target()[setting.attr] = value;
+  if (setting.onChange) {
+    setting.onChange(value);
+  }
+  saveSettings();
+  // Settings validated against each other may have become valid
+  menu.elt.querySelectorAll("[aria-invalid=true]").forEach((element) => {
+    if (element !== e.target) {
+      inputHandler({ target: element });
+    }
+  });
+};
+
+/**
+ * Converts a value typed into a menu input, or read from storage, to the type of
+ * its setting and checks it against the setting's type, range and validate function
+ * @function
+ * @name parseSetting
+ * @param {Object} setting - The setting, see SETTINGS
+ * @param {*} input - The value of the input
+ * @param {boolean} [crossCheck=true] - Whether to run the setting's validate function, which may compare it with other settings
+ * @returns {{value: *, error: string|null}} The converted value, or an error message if it is invalid
+ */
+function parseSetting(setting, input, crossCheck = true) {
+  let value = setting.fromInput ? setting.fromInput(Number(input)) : input;
+  const fail = (error) => ({ value, error });
+  if (["number", "integer", "body"].includes(setting.type)) {
+    if (String(input).trim() === "" || !Number.isFinite(Number(value))) {
+      return fail("must be a number");
+    }
+    value = Number(value);
+    if (setting.type !== "number" && !Number.isInteger(value)) {
+      return fail("must be a whole number");
+    }
+    if (
+      setting.type === "body" &&
+      !simulation.bodies.some((body) => body.id === value)
+    ) {
+      return fail(`body ${value} does not exist`);
+    }
+    if (setting.min !== undefined) {
+      if (setting.exclusiveMin && value <= setting.min) {
+        return fail(`must be greater than ${setting.min}`);
+      }
+      if (value < setting.min) {
+        return fail(`must be at least ${setting.min}`);
+      }
+    }
+    if (setting.max !== undefined && value > setting.max) {
+      return fail(`must be at most ${setting.max}`);
+    }
+  } else {
+    value = String(value);
+  }
+  if (setting.type === "select" && !setting.options().includes(value)) {
+    return fail(`must be one of ${setting.options().join(", ")}`);
+  }
+  if (setting.type === "color" && !isColor(value)) {
+    return fail("is not a CSS color");
+  }
+  return fail(setting.validate && crossCheck ? setting.validate(value) : null);
+}
+
+/**
+ * Checks whether a string is a color the browser understands, such as "red",
+ * "#ff0000" or "rgb(255, 0, 0)"
+ * @function
+ * @name isColor
+ * @param {string} value - The string to check
+ * @returns {boolean} True if the string is a CSS color
+ */
+function isColor(value) {
+  const style = new Option().style;
+  style.color = value;
+  return value.trim() !== "" && style.color !== "";
+}
+
+/**
+ * Shows or clears the validation error under a menu input
+ * @function
+ * @name showSettingError
+ * @param {HTMLElement} element - The input
+ * @param {string|null} error - The error message, or null if the value is valid
+ * @returns {void}
+ */
+function showSettingError(element, error) {
+  const message = document.getElementById(`${element.id}.error`);
+  element.setAttribute("aria-invalid", String(Boolean(error)));
+  element.style.borderColor = error ? "red" : "";
+  if (message) {
+    message.textContent = error ? `${SETTINGS[element.id].label} ${error}` : "";
+    message.style.display = error ? "" : "none";
+  }
+}
+
+/**
+ * Saves the value of every persistent setting to localStorage
+ * @function
+ * @name saveSettings
+ * @returns {void}
+ */
+function saveSettings() {
+  const saved = {};
+  for (const [id, setting] of Object.entries(SETTINGS)) {
+    if (setting.persist !== false) {
+      saved[id] = setting.target()[setting.attr];
+    }
+  }
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(saved));
+  } catch (error) {
+    console.warn("Could not save settings:", error.message);
+  }
+}
+
+/**
+ * Records the default of every setting, then applies the settings saved in
+ * localStorage. Saved values that are no longer valid are ignored. Settings
+ * validated against each other, such as Mass min and Mass max, are checked once
+ * all saved values are applied, and restored to their defaults if they conflict.
+ * @function
+ * @name loadSettings
+ * @returns {void}
+ */
+function loadSettings() {
+  for (const setting of Object.values(SETTINGS)) {
+    if (setting.persist !== false) {
+      setting.default = setting.target()[setting.attr];
+    }
+  }
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn("Could not load settings:", error.message);
+    return;
+  }
+  const loaded = [];
+  for (const [id, stored] of Object.entries(saved)) {
+    const setting = SETTINGS[id];
+    if (!setting || setting.persist === false) {
+      continue;
+    }
+    const { value, error } = parseSetting(
+      setting,
+      setting.toInput ? setting.toInput(stored) : stored,
+      false
+    );
+    if (error) {
+      console.warn(`Ignoring saved setting ${id}:`, error);
+    } else {
+      setting.target()[setting.attr] = value;
+      loaded.push(id);
+    }
+  }
+  const conflicts = loaded
+    .map((id) => {
+      const setting = SETTINGS[id];
+      const value = setting.target()[setting.attr];
+      return [
+        id,
+        parseSetting(setting, setting.toInput ? setting.toInput(value) : value)
+          .error,
+      ];
+    })
+    .filter(([, error]) => error);
+  for (const [id, error] of conflicts) {
+    console.warn(`Ignoring saved setting ${id}:`, error);
+    SETTINGS[id].target()[SETTINGS[id].attr] = SETTINGS[id].default;
+  }
+}
+
+/**
+ * Restores every persistent setting to its default and saves the defaults
+ * @function
+ * @name resetSettings
+ * @returns {void}
+ */
+function resetSettings() {
+  for (const setting of Object.values(SETTINGS)) {
+    if (setting.persist !== false) {
+      setting.target()[setting.attr] = setting.default;
+    }
+  }
+  frameRate(timeControls.frameRate);
+  saveSettings();
+  syncMenuInputs();
+}
+
+/**
+ * Creates and configures the configuration menu interface
+ * @function createMenu
+ * @description Sets up the menu button and the menu container, then builds each
+ * section of MENU_SECTIONS: a heading followed by a generated row for each setting
+ * and the section's custom rows.
+ * @returns {void}
+ */
+function createMenu() {
+  let menuButton = createButton("config")
+    .style("z-index", 2)
+    .position(0, 2)
+    .mouseClicked(openMenu);
+  menuButton.mouseOver(() => {
+    menuHover = true;
+  });
+  menuButton.mouseOut(() => {
+    menuHover = false;
+  });
+  menu = createElement("menu")
+    .style("visibility", "hidden")
+    .position(10, 10)
+    .style("list-style-type", "none")
+    .style("background-color", "#EEEEEE")
+    .style("padding", "15px")
+    .style("border-radius", "5px")
+    .style("width", "auto")
+    .style("display", "inline-block")
+    .style("min-width", "250px")
+    .style("border", "2px solid #666666")
+    .style("opacity", 0.95)
+    .style("box-shadow", "0 2px 4px rgba(0, 0, 0, 0.2)");
+
+  menu.mouseOver(() => {
+    menuHover = true;
+  });
+  menu.mouseOut(() => {
+    menuHover = false;
+  });
+
+  MENU_SECTIONS.forEach((section, i) => {
+    createElement("li", section.title)
+      .parent(menu)
+      .style("text-align", "center")
+      .style("margin-top", i === 0 ? "0" : "20px")
+      .style("margin-bottom", "5px");
+    for (const row of section.rows) {
+      if (typeof row === "function") {
+        row().parent(menu);
+      } else {
+        createSettingRow(row);
+      }
+    }
+  });
+  menu.elt.querySelectorAll("input, select").forEach((element) => {
+    element.addEventListener("input", inputHandler);
+  });
+}
+
+/**
+ * Creates the menu row of a setting, with the input matching its type and a
+ * hidden line for validation errors below it. Body selects list the current
+ * bodies and are refreshed whenever they get focus.
+ * @function
+ * @name createSettingRow
+ * @param {string} id - Key of the setting in SETTINGS
+ * @returns {p5.Element} The input
+ */
+function createSettingRow(id) {
+  const setting = SETTINGS[id];
+  let input;
+  if (setting.type === "select" || setting.type === "body") {
+    input = createSelect();
+    if (setting.type === "select") {
+      setting.options().forEach((option) => input.option(option));
+    } else {
+      input.elt.addEventListener("focus", () => updateBodyOptions(input.elt));
+    }
+  } else if (setting.slider) {
+    const { min, max, step } = setting.slider;
+    input = createSlider(min, max, min, step);
+  } else {
+    input = createInput(
+      "",
+      setting.type === "number" || setting.type === "integer"
+        ? "number"
+        : "text"
+    );
+  }
+  createMenuRow(setting.label, input, id);
+  createElement("li")
+    .id(`${id}.error`)
+    .parent(menu)
+    .style("display", "none")
+    .style("color", "red")
+    .style("font-size", "small")
+    .style("max-width", "250px")
+    .style("margin", "-4px 0 8px 80px");
+  if (setting.type === "body") {
+    updateBodyOptions(input.elt);
+  }
+  return input;
+}
+
+/**
+ * Creates a menu row holding a set of buttons, spread across the row or centered
+ * if there is only one
+ * @function
+ * @name createButtonRow
+ * @param {...p5.Element} buttons - The buttons
+ * @returns {p5.Element} The row
+ */
+function createButtonRow(...buttons) {
+  const row = createElement("li")
+    .style("display", "flex")
+    .style("justify-content", buttons.length > 1 ? "space-between" : "center")
+    .style("margin-bottom", "8px");
+  for (const button of buttons) {
+    row.child(button);
+  }
+  return row;
+}
+
+/**
+ * @function syncMenuInputs
+ * @description Updates every menu input to show the current value of the setting
+ * it edits, clearing any validation error
+ * @returns {void}
+ */
+const syncMenuInputs = function () {
+  for (const [id, setting] of Object.entries(SETTINGS)) {
+    const element = document.getElementById(id);
+    const target = setting.target();
+    if (!element || !target) {
+      continue;
+    }
+    if (setting.type === "body") {
+      updateBodyOptions(element);
+    } else {
+      const value = target[setting.attr];
+      element.value = String(setting.toInput ? setting.toInput(value) : value);
+    }
+    showSettingError(element, null);
+  }
+};
+
+/**
+ * @function 
+ * @name windowResized
+ * @description Handles window resize events and redraws the canvas
+ * @returns {void}
+ */
+function windowResized() {
+  resizeCanvas(windowWidth, windowHeight);
+  redraw();
+}
+
+/**
+ * Creates a menu row with label and input element
+ * @function
+ * @name createMenuRow
+ * @param {string} labelText - Text for the label
+ * @param {p5.Element} inputElement - Input element to add
+ * @param {string} inputId - ID for the input element
+ * @returns {p5.Element} The created menu row element
+ */
+function createMenuRow(labelText, inputElement, inputId) {
   const isSlider = inputElement.elt.type === "range";
   console.log(labelText, isSlider);
   return createElement("li")
     .style("display", "flex")
     .style("align-items", "baseline")
-    .style("margin-bottom", "8px")
-    .style("width", "100%")
+    .style("margin-bottom", "8px")
+    .style("width", "100%")
+    .child(
+      createElement("label", labelText)
+        .attribute("for", inputId)
+        .style("flex", "0 0 80px")
+        .style("line-height", "20px")
+    )
+    .child(
+      inputElement
+        .id(inputId)
+        .style("flex", "1")
+        .style("height", isSlider ? "10px" : "20px")
+        .style("box-sizing", "border-box")
+    )
+    .parent(menu);
+}
+
+/**
+ * Toggles the visibility of the configuration menu.
+ * If the menu is currently visible, it will be hidden; otherwise, it will become visible.
+ * @function
+ * @name openMenu
+ * @returns {void}
+ */
+function openMenu() {
+  menu.style(
+    "visibility",
+    menu.style("visibility") === "visible" ? "hidden" : "visible"
+  );
+}
+
+/**
+ * Main animation loop that advances the physics and renders all celestial bodies.
+ * Physics runs in fixed ticks decoupled from the frame rate: elapsed real time is
+ * accumulated and consumed one tick at a time.
+ * @function draw
+ * @returns {void}
+ */
+function draw() {
+  background(220);
+
+  if (timeControls.rewinding || (keyIsDown(188) && !isTyping())) {
+    rewindOnce();
+  } else if (!timeControls.paused) {
+    advanceSimulation(deltaTime);
+  }
+
+  updateView();
+  if (
+    predictionConfig.enabled &&
+    frameCount % predictionConfig.refreshInterval === 0
+  ) {
+    updatePrediction();
+  }
+  push();
+  applyViewTransform();
+  if (trailConfig.enabled) {
+    drawTrails();
+  }
+  applyFrameTransform();
+  for (const body of simulation.bodies) {
+    drawOrbit(body);
+  }
+  if (view.showSpheresOfInfluence) {
+    for (const body of simulation.bodies) {
+      drawSphereOfInfluence(body);
+    }
+  }
+  if (lagrangeConfig.showPoints || lagrangeConfig.showCurves) {
+    drawLagrangeOverlay();
+  }
+  if (physicsConfig.boundary !== "keep") {
+    drawBoundary();
+  }
+  if (predictionConfig.enabled && prediction) {
+    drawPrediction();
+  }
+  for (const body of simulation.bodies) {
+    drawBody(body);
+  }
+  selectedBody = resolveBody(selectedBody);
+  if (selectedBody) {
+    drawSelection(selectedBody);
+  }
+  if (launch && launch.properties) {
+    drawLaunch();
+  }
+  pop();
+  drawOffscreenIndicators();
+  updateSonification();
+
+  if (frameCount % 5 === 0) {
+    updateInspector();
+  }
+
+  if (frameCount % diagnostics.sampleInterval === 0) {
+    sampleDiagnostics();
+  }
+  if (diagnostics.visible) {
+    drawDiagnostics();
+  }
+  drawStatus();
+}
+
+/**
+ * Draws the simulated time, playback speed and camera state in the bottom left corner
+ * @function
+ * @name drawStatus
+ * @returns {void}
+ */
+function drawStatus() {
+  const status = [
+    `t = ${simulation.time.toFixed(0)}`,
+    `${timeControls.timeScale.toFixed(1)}x`,
+  ];
+  if (timeControls.paused) {
+    status.push("paused");
+  }
+  status.push(`${frameConfig.type} frame`);
+  if (view.followTarget) {
+    status.push(`following body ${view.followTarget.id}`);
+  }
+  if (recorder.recording || recorder.rows.length) {
+    status.push(
+      `${recorder.recording ? "recording" : "recorded"} ${
+        recorder.rows.length
+      } rows${recorder.full ? " (full)" : ""}`
+    );
+  }
+  if (simulation.removedCount) {
+    status.push(`${simulation.removedCount} removed`);
+  }
+  if (simulation.subdivisions > 1) {
+    status.push(`close encounter, step / ${simulation.subdivisions}`);
+  }
+  status.push(`seed ${seedConfig.seed}`);
+  noStroke();
+  fill(0);
+  textAlign(LEFT, BOTTOM);
+  text(status.join("   "), 10, height - 10);
+}
+
+/**
+ * Returns the current conserved quantities and their relative drift since the
+ * baseline. The baseline is retaken whenever bodies are added, removed or loaded,
+ * since the totals legitimately change then.
+ * Energy and angular momentum drift are relative to the magnitude of the baseline
+ * value. Momentum drift is relative to the sum of the bodies' momentum magnitudes,
+ * since the total momentum is often close to zero.
+ * Can be called from the console to compare integrator settings.
+ * @function
+ * @name getDiagnostics
+ * @returns {Object} The conserved quantities with the simulated time and a drift object
+ */
+function getDiagnostics() {
+  const current = simulation.computeConservedQuantities();
+  const key = `${simulation.nextBodyId}:${simulation.bodies.length}`;
+  if (!diagnostics.baseline || diagnostics.baselineKey !== key) {
+    diagnostics.baseline = current;
+    diagnostics.baselineKey = key;
+    diagnostics.history = [];
+  }
+  const baseline = diagnostics.baseline;
+  const relative = (difference, scale) => (scale ? difference / scale : 0);
+  return {
+    time: simulation.time,
+    ...current,
+    drift: {
+      energy: relative(
+        current.energy - baseline.energy,
+        Math.abs(baseline.energy)
+      ),
+      momentum: relative(
+        Math.hypot(
+          current.momentum.x - baseline.momentum.x,
+          current.momentum.y - baseline.momentum.y
+        ),
+        baseline.momentumScale
+      ),
+      angularMomentum: relative(
+        current.angularMomentum - baseline.angularMomentum,
+        baseline.angularMomentumScale
+      ),
+    },
+  };
+}
+
+/**
+ * Records a diagnostics sample for the plots while the panel is visible
+ * @function
+ * @name sampleDiagnostics
+ * @returns {void}
+ */
+function sampleDiagnostics() {
+  if (!diagnostics.visible) {
+    return;
+  }
+  const sample = getDiagnostics();
+  const last = diagnostics.history[diagnostics.history.length - 1];
+  if (last && last.time === sample.time) {
+    return;
+  }
+  diagnostics.history.push(sample);
+  if (diagnostics.history.length > diagnostics.historyLength) {
+    diagnostics.history.shift();
+  }
+}
+
+/**
+ * Draws the diagnostics panel in the top right corner, with a scrolling plot of
+ * the relative drift of each conserved quantity
+ * @function
+ * @name drawDiagnostics
+ * @returns {void}
+ */
+function drawDiagnostics() {
+  const plots = [
+    { label: "energy", value: (sample) => sample.drift.energy },
+    { label: "momentum", value: (sample) => sample.drift.momentum },
+    {
+      label: "angular momentum",
+      value: (sample) => sample.drift.angularMomentum,
+    },
+  ];
+  const plotWidth = 220;
+  const plotHeight = 50;
+  const left = width - plotWidth - 15;
+  const history = diagnostics.history;
+  const latest = history[history.length - 1];
+
+  push();
+  textAlign(LEFT, TOP);
+  textSize(11);
+  plots.forEach((plot, i) => {
+    const top = 15 + i * (plotHeight + 25);
+    const values = history.map(plot.value);
+    const range = Math.max(...values.map(Math.abs), 1e-12);
+
+    fill(255, 230);
+    stroke(102);
+    strokeWeight(1);
+    rect(left, top, plotWidth, plotHeight);
+    stroke(180);
+    line(left, top + plotHeight / 2, left + plotWidth, top + plotHeight / 2);
+
+    noFill();
+    stroke(200, 0, 0);
+    beginShape();
+    values.forEach((value, j) => {
+      vertex(
+        left + (j / (diagnostics.historyLength - 1)) * plotWidth,
+        top + plotHeight / 2 - (value / range) * (plotHeight / 2)
+      );
+    });
+    endShape();
+
+    noStroke();
+    fill(0);
+    const current = latest ? plot.value(latest).toExponential(2) : "-";
+    text(`${plot.label} drift: ${current}`, left, top + plotHeight + 3);
+  });
+  if (latest) {
+    text(
+      `E = ${latest.energy.toExponential(4)}   L = ${latest.angularMomentum.toExponential(4)}`,
+      left,
+      15 + plots.length * (plotHeight + 25)
+    );
+  }
+  pop();
+}
+
+/**
+ * Runs as many physics ticks as fit into the elapsed real time, scaled by the
+ * time scale. If the ticks take longer than the frame budget the remaining backlog
+ * is dropped, so a slow machine runs slower instead of freezing.
+ * @function
+ * @name advanceSimulation
+ * @param {number} elapsed - Real time since the last frame in milliseconds
+ * @returns {void}
+ */
+function advanceSimulation(elapsed) {
+  tickAccumulator +=
+    (elapsed / 1000) * timeControls.ticksPerSecond * timeControls.timeScale;
+  const maxTicks = Math.ceil(
+    timeControls.maxTicksPerFrame * Math.max(1, timeControls.timeScale)
+  );
+  const start = performance.now();
+  let ticks = 0;
+  while (tickAccumulator >= 1) {
+    if (
+      ticks >= maxTicks ||
+      performance.now() - start > timeControls.frameBudget
+    ) {
+      tickAccumulator = 0;
+      break;
+    }
+    tick();
+    tickAccumulator--;
+    ticks++;
+  }
+}
+
+/**
+ * Runs a single physics tick and stores a snapshot for rewinding every
+ * timeControls.historyInterval ticks. Trail points are added every
+ * trailConfig.sampleInterval ticks, and while recording every body is sampled
+ * every recorderConfig.interval ticks.
+ * @function
+ * @name tick
+ * @returns {void}
+ */
+function tick() {
+  if (ticksSinceSnapshot === 0) {
+    stateHistory.push(takeSnapshot());
+  }
+  ticksSinceSnapshot = (ticksSinceSnapshot + 1) % timeControls.historyInterval;
+  simulation.step(physicsConfig.timeStep);
+  if (trailConfig.enabled) {
+    ticksSinceTrailSample =
+      (ticksSinceTrailSample + 1) % trailConfig.sampleInterval;
+    if (ticksSinceTrailSample === 0) {
+      recordTrails();
+    }
+  }
+  if (recorder.recording) {
+    recorder.ticksSinceSample =
+      (recorder.ticksSinceSample + 1) % recorderConfig.interval;
+    if (recorder.ticksSinceSample === 0) {
+      recordSample();
+    }
+  }
+}
+
+/**
+ * Pauses or resumes the simulation
+ * @function
+ * @name togglePause
+ * @returns {void}
+ */
+function togglePause() {
+  timeControls.paused = !timeControls.paused;
+  tickAccumulator = 0;
+  const button = document.getElementById("timeControls.pause");
+  if (button) {
+    button.textContent = timeControls.paused ? "resume" : "pause";
+  }
+}
+
+/**
+ * Pauses the simulation and advances it by exactly one physics tick
+ * @function
+ * @name stepOnce
+ * @returns {void}
+ */
+function stepOnce() {
+  if (!timeControls.paused) {
+    togglePause();
+  }
+  tick();
+}
+
+/**
+ * Pauses the simulation and restores the most recent snapshot from the history.
+ * Resuming afterwards replays the simulation forward from that point.
+ * @function
+ * @name rewindOnce
+ * @returns {void}
+ */
+function rewindOnce() {
+  if (!timeControls.paused) {
+    togglePause();
+  }
+  const snapshot = stateHistory.pop();
+  if (snapshot) {
+    restoreSnapshot(snapshot);
+    ticksSinceSnapshot = 0;
+  }
+}
+
+/**
+ * @function
+ * @name mouseWheel
+ * @description Zooms the camera around the cursor, or around the followed body
+ * @param {WheelEvent} event - The wheel event
+ * @returns {boolean|undefined} False to stop the page from scrolling, undefined over the menu
+ */
+function mouseWheel(event) {
+  if (menuHover) {
+    return;
+  }
+  const anchor = worldToFrame(screenToWorld(mouseX, mouseY));
+  view.zoom = constrain(
+    view.zoom * Math.exp(-event.delta * 0.001),
+    view.minZoom,
+    view.maxZoom
+  );
+  if (!view.followTarget) {
+    const shifted = worldToFrame(screenToWorld(mouseX, mouseY));
+    view.x += anchor.x - shifted.x;
+    view.y += anchor.y - shifted.y;
+  }
+  return false;
+}
+
+/**
+ * @function
+ * @name mousePressed
+ * @description Starts tracking a possible drag. A drag with the left button
+ * launches a satellite from the press position.
+ * @returns {void}
+ */
+function mousePressed() {
+  dragDistance = 0;
+  launch =
+    !menuHover && mouseButton === LEFT
+      ? { start: screenToWorld(mouseX, mouseY), properties: null }
+      : null;
+}
+
+/**
+ * @function
+ * @name mouseDragged
+ * @description Aims the satellite being launched with the left button, or pans the
+ * camera with the right or middle button and stops following
+ * @param {MouseEvent} event - The mouse event
+ * @returns {void}
+ */
+function mouseDragged(event) {
+  if (menuHover && !launch) {
+    return;
+  }
+  dragDistance += Math.hypot(event.movementX, event.movementY);
+  if (dragDistance <= 5) {
+    return;
+  }
+  if (launch) {
+    if (!launch.properties) {
+      launch.properties = nextSatelliteProperties();
+      launch.parent = dominantBody(launch.start);
+    }
+    launch.end = screenToWorld(mouseX, mouseY);
+    launch.preview = predictLaunchPath(
+      launch.start,
+      launchVelocity(),
+      launch.properties.mass
+    );
+  } else {
+    view.followTarget = null;
+    view.x -= event.movementX / view.zoom;
+    view.y -= event.movementY / view.zoom;
+  }
+}
+
+/**
+ * @function
+ * @name mouseReleased
+ * @description Launches the satellite aimed by the current drag
+ * @returns {void}
+ */
+function mouseReleased() {
+  if (
+    launch &&
+    launch.properties &&
+    simulation.bodies.includes(launch.parent)
+  ) {
+    const velocity = launchVelocity();
+    simulation.createBody(
+      launch.properties.mass,
+      launch.start.x,
+      launch.start.y,
+      velocity.x,
+      velocity.y,
+      launch.properties.size,
+      launch.properties.color,
+      launch.parent
+    );
+  }
+  launch = null;
+}
+
+/**
+ * Turns the trajectory prediction overlay on or off
+ * @function
+ * @name togglePrediction
+ * @returns {void}
+ */
+function togglePrediction() {
+  predictionConfig.enabled = !predictionConfig.enabled;
+  prediction = null;
+  if (predictionConfig.enabled) {
+    updatePrediction();
+  }
+  const button = document.getElementById("predictionConfig.toggle");
+  if (button) {
+    button.textContent = predictionConfig.enabled
+      ? "hide prediction"
+      : "show prediction";
+  }
+}
+
+/**
+ * Recomputes the prediction if the simulation has changed since it was made
+ * @function
+ * @name updatePrediction
+ * @returns {void}
+ */
+function updatePrediction() {
+  const key = `${simulation.time}:${simulation.nextBodyId}:${simulation.bodies.length}:${predictionConfig.horizon}`;
+  if (!prediction || prediction.key !== key) {
+    prediction = { key, ...predictTrajectories() };
+  }
+}
+
+/**
+ * Predicts the future of the simulation by forward-simulating a copy of the most
+ * massive bodies for predictionConfig.horizon ticks.
+ * Along the way it records close approaches, where the gap between two bodies drops
+ * below predictionConfig.closeApproachDistance, at the moment of closest approach,
+ * and parent changes, using the same rule as the simulation.
+ * @function
+ * @name predictTrajectories
+ * @returns {{bodies: CelestialBody[], paths: Vector[][], closeApproaches: Object[], parentChanges: Object[]}}
+ * The predicted bodies with their paths, close approaches ({tick, a, b, distance, position})
+ * and parent changes ({tick, body, from, to, position})
+ */
+function predictTrajectories() {
+  const predicted = [...simulation.bodies]
+    .sort((a, b) => b.mass - a.mass)
+    .slice(0, predictionConfig.maxBodies);
+  const masses = predicted.map((body) => body.mass);
+  const radii = predicted.map((body) => body.size / 2);
+  const reach = radii.map(
+    (radius) => radius + predictionConfig.closeApproachDistance / 2
+  );
+  const parents = predicted.map((body) => predicted.indexOf(body.parent));
+  const encounters = new Map();
+  const closeApproaches = [];
+  const parentChanges = [];
+
+  const paths = simulation.simulatePaths(
+    predicted.map((body) => ({
+      position: body.position,
+      velocity: body.velocity,
+      mass: body.mass,
+    })),
+    predictionConfig.horizon,
+    (positions, velocities, tick) => {
+      const close = new Set();
+      for (const [i, j] of findOverlappingPairs(positions, reach)) {
+        const key = `${i}:${j}`;
+        const distance = Vector.dist(positions[i], positions[j]);
+        const encounter = encounters.get(key);
+        close.add(key);
+        if (!encounter || distance < encounter.distance) {
+          encounters.set(key, {
+            tick,
+            a: predicted[i],
+            b: predicted[j],
+            distance,
+            position: Vector.add(positions[i], positions[j]).div(2),
+          });
+        }
+      }
+      for (const [key, encounter] of encounters) {
+        if (!close.has(key)) {
+          closeApproaches.push(encounter);
+          encounters.delete(key);
+        }
+      }
+
+      if (tick % predictionConfig.parentCheckInterval === 0) {
+        const assigned = assignParentsBySphereOfInfluence(
+          positions.map((position, i) => ({ position, mass: masses[i] })),
+          parents,
+          physicsConfig,
+          predicted.map((body) => body.parentLocked)
+        ).parents;
+        assigned.forEach((newParent, i) => {
+          if (newParent !== parents[i]) {
+            parentChanges.push({
+              tick,
+              body: predicted[i],
+              from: predicted[parents[i]],
+              to: predicted[newParent],
+              position: positions[i].copy(),
+            });
+            parents[i] = newParent;
+          }
+        });
+      }
+      return true;
+    }
+  );
+  closeApproaches.push(...encounters.values());
+  return { bodies: predicted, paths, closeApproaches, parentChanges };
+}
+
+/**
+ * Draws the predicted path of each body as a dashed line in its color, with a red
+ * cross at each predicted close approach and a square at each predicted parent
+ * change. Markers are labeled with how many ticks ahead they are.
+ * @function
+ * @name drawPrediction
+ * @returns {void}
+ */
+function drawPrediction() {
+  push();
+  noFill();
+  strokeWeight(1 / view.zoom);
+  drawingContext.setLineDash([5 / view.zoom, 5 / view.zoom]);
+  prediction.bodies.forEach((body, i) => {
+    stroke(body.color);
+    beginShape();
+    prediction.paths[i].forEach((point, j) => {
+      if (j % 2 === 0) {
+        vertex(point.x, point.y);
+      }
+    });
+    endShape();
+  });
+  drawingContext.setLineDash([]);
+
+  const markerSize = 6 / view.zoom;
+  textSize(11 / view.zoom);
+  textAlign(LEFT, BOTTOM);
+  for (const approach of prediction.closeApproaches) {
+    const { x, y } = approach.position;
+    stroke(200, 0, 0);
+    strokeWeight(2 / view.zoom);
+    line(x - markerSize, y - markerSize, x + markerSize, y + markerSize);
+    line(x - markerSize, y + markerSize, x + markerSize, y - markerSize);
+    noStroke();
+    fill(200, 0, 0);
+    text(`t+${approach.tick}`, x + markerSize, y - markerSize);
+  }
+  for (const change of prediction.parentChanges) {
+    const { x, y } = change.position;
+    stroke(0);
+    strokeWeight(1 / view.zoom);
+    fill(change.body.color);
+    rectMode(CENTER);
+    square(x, y, markerSize * 1.5);
+    noStroke();
+    fill(0);
+    text(
+      `t+${change.tick} \u2192 ${change.to ? `body ${change.to.id}` : "none"}`,
+      x + markerSize,
+      y - markerSize
+    );
+  }
+  pop();
+}
+
+/**
+ * @constant {Object[]} RECORDER_COLUMNS
+ * @description Columns written by the trajectory recorder. Each column reads its
+ * value from the body and the orbital elements around its parent, which are null
+ * for bodies without a parent.
+ */
+const RECORDER_COLUMNS = [
+  { id: "time", read: () => simulation.time },
+  { id: "id", read: (body) => body.id },
+  { id: "parent", read: (body) => (body.parent ? body.parent.id : null) },
+  { id: "x", read: (body) => body.position.x },
+  { id: "y", read: (body) => body.position.y },
+  { id: "vx", read: (body) => body.velocity.x },
+  { id: "vy", read: (body) => body.velocity.y },
+  { id: "mass", read: (body) => body.mass },
+  { id: "eccentricity", read: (body, elements) => elements.eccentricity },
+  { id: "semimajorAxis", read: (body, elements) => elements.semimajorAxis },
+  {
+    id: "argumentOfPeriapsis",
+    read: (body, elements) => elements.argumentOfPeriapsis,
+  },
+  { id: "trueAnomaly", read: (body, elements) => elements.trueAnomaly },
+  { id: "period", read: (body, elements) => elements.period },
+];
+
+/**
+ * Starts or stops the trajectory recorder. Starting after the recorder filled up
+ * clears the old rows first.
+ * @function
+ * @name toggleRecording
+ * @returns {void}
+ */
+function toggleRecording() {
+  if (!recorder.recording && recorder.full) {
+    clearRecording();
+  }
+  recorder.recording = !recorder.recording;
+  if (recorder.recording) {
+    recorder.ticksSinceSample = 0;
+    recordSample();
+  }
+  updateRecorderButton();
+}
+
+/**
+ * Adds one row per body to the recording. Stops the recorder once
+ * recorderConfig.maxRows rows have been recorded.
+ * @function
+ * @name recordSample
+ * @returns {void}
+ */
+function recordSample() {
+  for (const body of simulation.bodies) {
+    if (recorder.rows.length >= recorderConfig.maxRows) {
+      recorder.recording = false;
+      recorder.full = true;
+      updateRecorderButton();
+      return;
+    }
+    body.calculateOrbitalParameters();
+    const elements = body.parent ? body.orbitalElements : {};
+    recorder.rows.push(
+      RECORDER_COLUMNS.map((column) => {
+        const value = column.read(body, elements);
+        return Number.isFinite(value) ? value : null;
+      })
+    );
+  }
+}
+
+/**
+ * Discards every recorded row
+ * @function
+ * @name clearRecording
+ * @returns {void}
+ */
+function clearRecording() {
+  recorder.rows = [];
+  recorder.full = false;
+}
+
+/**
+ * Shows whether the recorder is running on its menu button
+ * @function
+ * @name updateRecorderButton
+ * @returns {void}
+ */
+function updateRecorderButton() {
+  const button = document.getElementById("recorder.toggle");
+  if (button) {
+    button.textContent = recorder.recording ? "stop" : "record";
+  }
+}
+
+/**
+ * Downloads the recording in the format chosen in recorderConfig.format.
+ * CSV files have a header row and leave missing values empty, JSON files hold an
+ * array with one object per row.
+ * @function
+ * @name downloadRecording
+ * @returns {void}
+ */
+function downloadRecording() {
+  const columns = RECORDER_COLUMNS.map((column) => column.id);
+  if (recorderConfig.format === "json") {
+    saveJSON(
+      recorder.rows.map((row) =>
+        Object.fromEntries(row.map((value, i) => [columns[i], value]))
+      ),
+      "gravity-trajectories.json"
+    );
+    return;
+  }
+  const lines = [columns.join(",")].concat(
+    recorder.rows.map((row) =>
+      row.map((value) => (value === null ? "" : value)).join(",")
+    )
+  );
+  saveStrings(lines, "gravity-trajectories", "csv");
+}
+
+/**
+ * Turns the motion trails on or off. Turning them off discards every trail.
+ * @function
+ * @name toggleTrails
+ * @returns {void}
+ */
+function toggleTrails() {
+  trailConfig.enabled = !trailConfig.enabled;
+  ticksSinceTrailSample = 0;
+  if (!trailConfig.enabled) {
+    clearTrails();
+  }
+  const button = document.getElementById("trailConfig.toggle");
+  if (button) {
+    button.textContent = trailConfig.enabled ? "hide trails" : "show trails";
+  }
+}
+
+/**
+ * Returns the number of points kept in a body's trail
+ * @function
+ * @name trailLengthOf
+ * @param {CelestialBody} body - The body
+ * @returns {number} The body's own trail length if set, otherwise trailConfig.length
+ */
+function trailLengthOf(body) {
+  const trail = trails.get(body.id);
+  return trail && trail.length !== null ? trail.length : trailConfig.length;
+}
+
+/**
+ * Sets the number of points kept in a body's trail
+ * @function
+ * @name setTrailLength
+ * @param {CelestialBody} body - The body
+ * @param {number|null} length - Points to keep, or null to use trailConfig.length
+ * @returns {void}
+ */
+function setTrailLength(body, length) {
+  if (!trails.has(body.id)) {
+    trails.set(body.id, { points: [], length: null });
+  }
+  trails.get(body.id).length = length;
+}
+
+/**
+ * Adds the current position of every body in the reference frame to its trail,
+ * drops the oldest points beyond the body's trail length and forgets the trails
+ * of removed bodies
+ * @function
+ * @name recordTrails
+ * @returns {void}
+ */
+function recordTrails() {
+  const reference = computeFrame();
+  const ids = new Set();
+  for (const body of simulation.bodies) {
+    ids.add(body.id);
+    if (!trails.has(body.id)) {
+      trails.set(body.id, { points: [], length: null });
+    }
+    const points = trails.get(body.id).points;
+    const { x, y } = worldToFrame(body.position, reference);
+    points.push({ x, y, time: simulation.time });
+    const excess = points.length - trailLengthOf(body);
+    if (excess > 0) {
+      points.splice(0, excess);
+    }
+  }
+  for (const id of trails.keys()) {
+    if (!ids.has(id)) {
+      trails.delete(id);
+    }
+  }
+}
+
+/**
+ * Drops trail points recorded after the current simulated time, so trails
+ * match the simulation after rewinding or loading an earlier state
+ * @function
+ * @name trimTrails
+ * @returns {void}
+ */
+function trimTrails() {
+  for (const trail of trails.values()) {
+    trail.points = trail.points.filter(
+      (point) => point.time <= simulation.time
+    );
+  }
+}
+
+/**
+ * Discards the points of every trail, keeping per-body trail lengths
+ * @function
+ * @name clearTrails
+ * @returns {void}
+ */
+function clearTrails() {
+  for (const trail of trails.values()) {
+    trail.points = [];
+  }
+}
+
+/**
+ * Draws the trail of every body as a line that fades out towards its oldest point.
+ * Must be called inside the view transform but outside the frame transform, since
+ * the points are in reference frame coordinates.
+ * @function
+ * @name drawTrails
+ * @returns {void}
+ */
+function drawTrails() {
+  strokeWeight(2 / view.zoom);
+  for (const body of simulation.bodies) {
+    const trail = trails.get(body.id);
+    if (!trail || trail.points.length === 0) {
+      continue;
+    }
+    const points = trail.points.concat([worldToFrame(body.position)]);
+    const trailColor = color(body.color);
+    for (let i = 1; i < points.length; i++) {
+      trailColor.setAlpha((255 * i) / points.length);
+      stroke(trailColor);
+      line(points[i - 1].x, points[i - 1].y, points[i].x, points[i].y);
+    }
+  }
+}
+
+/**
+ * @constant {Object<string, Function>} BODY_REMOVAL_DESCRIPTIONS
+ * @description Text shown in the event log for a bodyRemoved event, keyed by the
+ * reason of the removal
+ */
+const BODY_REMOVAL_DESCRIPTIONS = {
+  merge: (event) =>
+    `body ${event.body.id} merged into body ${event.replacement.id}`,
+  fragment: (event) =>
+    `body ${event.body.id} shattered on body ${event.replacement.id}`,
+  boundary: (event) => `body ${event.body.id} removed at the boundary`,
+  delete: (event) => `body ${event.body.id} deleted`,
+};
+
+/**
+ * @constant {Object<string, Function>} EVENT_DESCRIPTIONS
+ * @description Text shown in the event log for each type of event in
+ * SIMULATION_EVENTS, keyed by type and built from the event object
+ */
+const EVENT_DESCRIPTIONS = {
+  bodyAdded: (event) => `body ${event.body.id} added`,
+  bodyRemoved: (event) => BODY_REMOVAL_DESCRIPTIONS[event.reason](event),
+  parentChanged: (event) =>
+    `body ${event.body.id} parent ${
+      event.from ? `body ${event.from.id}` : "none"
+    } \u2192 ${event.to ? `body ${event.to.id}` : "none"}`,
+  escape: (event) =>
+    `body ${event.body.id} crossed the boundary (${event.policy})`,
+  periapsis: (event) =>
+    `body ${event.body.id} periapsis of body ${
+      event.parent.id
+    }, r = ${event.distance.toFixed(0)}`,
+  apoapsis: (event) =>
+    `body ${event.body.id} apoapsis of body ${
+      event.parent.id
+    }, r = ${event.distance.toFixed(0)}`,
+  closeApproach: (event) =>
+    `bodies ${event.a.id} and ${
+      event.b.id
+    } passed ${event.distance.toFixed(0)} apart`,
+};
+
+/**
+ * Subscribes a listener to one type of simulation event, so scripts can react to
+ * the simulation, for example from the browser console:
+ *
+ *     const stop = subscribe("periapsis", (event) => console.log(event.body.id));
+ *
+ * Errors thrown by the listener are logged as warnings instead of stopping the
+ * simulation.
+ * @function
+ * @name subscribe
+ * @param {string} type - The event type, one of SIMULATION_EVENTS
+ * @param {Function} listener - Called with the event object, see SIMULATION_EVENTS
+ * @returns {Function} Unsubscribes the listener when called
+ * @throws {Error} If the event type is unknown
+ */
+function subscribe(type, listener) {
+  return simulation.on(type, (event) => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.warn(`Listener for ${type} failed:`, error.message);
+    }
+  });
+}
+
+/**
+ * Creates the event log panel, with a checkbox for each event type, and
+ * subscribes it to every simulation event
+ * @function
+ * @name createEventLog
+ * @returns {void}
+ */
+function createEventLog() {
+  eventLog = createElement("menu")
+    .style("visibility", "hidden")
+    .style("position", "absolute")
+    .style("left", "10px")
+    .style("bottom", "30px")
+    .style("margin", "0")
+    .style("list-style-type", "none")
+    .style("background-color", "#EEEEEE")
+    .style("padding", "15px")
+    .style("border-radius", "5px")
+    .style("width", "320px")
+    .style("border", "2px solid #666666")
+    .style("opacity", 0.95)
+    .style("box-shadow", "0 2px 4px rgba(0, 0, 0, 0.2)");
+  eventLog.mouseOver(() => {
+    menuHover = true;
+  });
+  eventLog.mouseOut(() => {
+    menuHover = false;
+  });
+
+  createElement("li", "EVENTS")
+    .parent(eventLog)
+    .style("text-align", "center")
+    .style("margin-bottom", "5px");
+  const filters = createElement("li")
+    .parent(eventLog)
+    .style("display", "flex")
+    .style("flex-wrap", "wrap")
+    .style("font-size", "small")
+    .style("margin-bottom", "5px");
+  for (const type of SIMULATION_EVENTS) {
+    const checkbox = createCheckbox(type, eventLogConfig.types[type])
+      .style("margin-right", "8px")
+      .parent(filters);
+    checkbox.changed(() => {
+      eventLogConfig.types[type] = checkbox.checked();
+    });
+  }
+  createElement("ul")
+    .id("eventLog.entries")
+    .parent(eventLog)
+    .style("list-style-type", "none")
+    .style("margin", "0")
+    .style("padding", "0")
+    .style("height", "200px")
+    .style("overflow-y", "auto")
+    .style("font-family", "monospace")
+    .style("font-size", "small");
+
+  for (const type of SIMULATION_EVENTS) {
+    simulation.on(type, logEvent);
+  }
+}
+
+/**
+ * Adds an event to the log if its type is enabled, dropping the oldest entries
+ * beyond eventLogConfig.maxEntries. The log keeps scrolling with new entries
+ * unless it has been scrolled up.
+ * @function
+ * @name logEvent
+ * @param {Object} event - The simulation event, see SIMULATION_EVENTS
+ * @returns {void}
+ */
+function logEvent(event) {
+  if (!eventLogConfig.types[event.type]) {
+    return;
+  }
+  const entries = document.getElementById("eventLog.entries");
+  const atBottom =
+    entries.scrollTop + entries.clientHeight >= entries.scrollHeight - 5;
+  const entry = document.createElement("li");
+  const description = EVENT_DESCRIPTIONS[event.type](event);
+  entry.textContent = `t = ${event.time.toFixed(0)}  ${description}`;
+  entries.append(entry);
+  while (entries.children.length > eventLogConfig.maxEntries) {
+    entries.firstChild.remove();
+  }
+  if (atBottom) {
+    entries.scrollTop = entries.scrollHeight;
+  }
+}
+
+/**
+ * Removes every entry from the event log
+ * @function
+ * @name clearEventLog
+ * @returns {void}
+ */
+function clearEventLog() {
+  document.getElementById("eventLog.entries").replaceChildren();
+}
+
+/**
+ * Shows or hides the event log panel. Events are logged while it is hidden.
+ * @function
+ * @name toggleEventLog
+ * @returns {void}
+ */
+function toggleEventLog() {
+  eventLogConfig.visible = !eventLogConfig.visible;
+  eventLog.style("visibility", eventLogConfig.visible ? "visible" : "hidden");
+  const button = document.getElementById("eventLogConfig.toggle");
+  if (button) {
+    button.textContent = eventLogConfig.visible ? "hide log" : "show log";
+  }
+}
+
+/**
+ * Starts or stops the orbit sonification. Browsers only let audio start from a
+ * user gesture, so the sound sources are created the first time it is started
+ * from the button in the menu.
+ * @function
+ * @name toggleAudio
+ * @returns {void}
+ */
+function toggleAudio() {
+  audioConfig.enabled = !audioConfig.enabled;
+  if (audioConfig.enabled) {
+    userStartAudio();
+    if (!sonification) {
+      sonification = createSonification();
+    }
+  }
+  document.getElementById("audioConfig.toggle").textContent =
+    audioConfig.enabled ? "stop audio" : "start audio";
+}
+
+/**
+ * Mutes or unmutes the sonification without stopping it
+ * @function
+ * @name toggleMute
+ * @returns {void}
+ */
+function toggleMute() {
+  audioConfig.muted = !audioConfig.muted;
+  document.getElementById("audioConfig.mute").textContent = audioConfig.muted
+    ? "unmute"
+    : "mute";
+}
+
+/**
+ * Creates and starts the silent oscillators used by the sonification
+ * @function
+ * @name createSonification
+ * @returns {Object} The sound sources, see sonification
+ */
+function createSonification() {
+  const voices = [];
+  for (let i = 0; i < audioConfig.maxVoices; i++) {
+    const oscillator = new p5.Oscillator("sine");
+    oscillator.amp(0);
+    oscillator.start();
+    voices.push(oscillator);
+  }
+  const hits = [];
+  for (let i = 0; i < audioConfig.hitVoices; i++) {
+    const oscillator = new p5.Oscillator("triangle");
+    oscillator.amp(0);
+    oscillator.start();
+    const envelope = new p5.Envelope();
+    envelope.setADSR(0.002, 0.15, 0, 0);
+    envelope.setRange(0.5, 0);
+    hits.push({ oscillator, envelope });
+  }
+  return { voices, hits, nextHit: 0, pitches: new Map(), level: null };
+}
+
+/**
+ * Converts an orbital period into the pitch of its tone. Pitch is inversely
+ * proportional to the period, so bodies in an orbital resonance play the same
+ * ratio of frequencies, a 2:1 resonance sounding as an octave and 3:2 as a fifth.
+ * Pitches outside the audible range are moved by whole octaves, which keeps the
+ * interval.
+ * @function
+ * @name orbitPitch
+ * @param {number} period - The orbital period in physics ticks
+ * @returns {number} Frequency in hertz
+ */
+function orbitPitch(period) {
+  let frequency =
+    (audioConfig.referencePitch * audioConfig.referencePeriod) / period;
+  while (frequency < audioConfig.lowestPitch) {
+    frequency *= 2;
+  }
+  while (frequency > audioConfig.highestPitch) {
+    frequency /= 2;
+  }
+  return frequency;
+}
+
+/**
+ * Gives a voice to each of the most massive bodies on bound orbits, tuned to
+ * their orbital period and panned by their position on screen, and applies the
+ * master volume. Voices fall silent while the simulation is paused.
+ * @function
+ * @name updateSonification
+ * @returns {void}
+ */
+function updateSonification() {
+  if (!sonification) {
+    return;
+  }
+  const level =
+    audioConfig.enabled && !audioConfig.muted ? audioConfig.volume : 0;
+  if (level !== sonification.level) {
+    outputVolume(level, 0.1);
+    sonification.level = level;
+  }
+
+  const playing =
+    audioConfig.enabled && !timeControls.paused
+      ? simulation.bodies
+          .filter(
+            (body) =>
+              body.parent && Number.isFinite(body.orbitalElements.period)
+          )
+          .sort((a, b) => b.mass - a.mass)
+          .slice(0, audioConfig.maxVoices)
+      : [];
+  sonification.pitches.clear();
+  sonification.voices.forEach((oscillator, i) => {
+    const body = playing[i];
+    if (!body) {
+      oscillator.amp(0, 0.1);
+      return;
+    }
+    const pitch = orbitPitch(body.orbitalElements.period);
+    const { x } = worldToScreen(body.position.x, body.position.y);
+    sonification.pitches.set(body.id, pitch);
+    oscillator.freq(pitch, 0.1);
+    oscillator.amp(1 / audioConfig.maxVoices, 0.1);
+    oscillator.pan(constrain((2 * x) / width - 1, -1, 1), 0.1);
+  });
+}
+
+/**
+ * Plays a short hit an octave above a body's tone when it passes periapsis.
+ * Only bodies that currently have a voice are heard.
+ * @function
+ * @name playPeriapsisHit
+ * @param {Object} event - The periapsis event, see SIMULATION_EVENTS
+ * @returns {void}
+ */
+function playPeriapsisHit(event) {
+  if (!sonification || !audioConfig.enabled) {
+    return;
+  }
+  const pitch = sonification.pitches.get(event.body.id);
+  if (pitch === undefined) {
+    return;
+  }
+  const hit = sonification.hits[sonification.nextHit];
+  sonification.nextHit = (sonification.nextHit + 1) % sonification.hits.length;
+  hit.oscillator.freq(pitch * 2);
+  hit.envelope.play(hit.oscillator);
+}
+
+/**
+ * Shows or hides the Lagrange points or the zero-velocity curves
+ * @function
+ * @name toggleLagrangeOverlay
+ * @param {string} attr - "showPoints" or "showCurves"
+ * @returns {void}
+ */
+function toggleLagrangeOverlay(attr) {
+  lagrangeConfig[attr] = !lagrangeConfig[attr];
+  const [id, label] =
+    attr === "showPoints"
+      ? ["pointsToggle", "points"]
+      : ["curvesToggle", "curves"];
+  document.getElementById(`lagrangeConfig.${id}`).textContent = `${
+    lagrangeConfig[attr] ? "hide" : "show"
+  } ${label}`;
+}
+
+/**
+ * Looks up the pair of bodies chosen in lagrangeConfig
+ * @function
+ * @name lagrangePair
+ * @returns {{primary: CelestialBody, secondary: CelestialBody}|null} The pair, or
+ * null if either body no longer exists or both are the same body
+ */
+function lagrangePair() {
+  const primary = simulation.bodies.find(
+    (body) => body.id === lagrangeConfig.primary
+  );
+  const secondary = simulation.bodies.find(
+    (body) => body.id === lagrangeConfig.secondary
+  );
+  if (!primary || !secondary || primary === secondary) {
+    return null;
+  }
+  return { primary, secondary };
+}
+
+/**
+ * Adds a body at the Lagrange point chosen in lagrangeConfig.point, moving with
+ * the rotating frame of the pair, using the mass, size and color from
+ * newSatelliteConfig. Its parent is the primary body.
+ * @function
+ * @name spawnAtLagrangePoint
+ * @returns {void}
+ */
+function spawnAtLagrangePoint() {
+  const button = document.getElementById("lagrangeConfig.spawn");
+  const pair = lagrangePair();
+  if (!pair) {
+    button.style.borderColor = "red";
+    console.warn("Lagrange pair not found");
+    return;
+  }
+  const point = computeLagrangePoints(pair.primary, pair.secondary).find(
+    (other) => other.name === lagrangeConfig.point
+  );
+  const properties = nextSatelliteProperties();
+  simulation.createBody(
+    properties.mass,
+    point.position.x,
+    point.position.y,
+    point.velocity.x,
+    point.velocity.y,
+    properties.size,
+    properties.color,
+    pair.primary
+  );
+  button.style.borderColor = "";
+}
+
+/**
+ * Draws the Lagrange points of the chosen pair as labeled crosses, and the
+ * zero-velocity curves of the test body. The curves are traced with marching
+ * squares on a grid around the pair, where twice the effective potential equals
+ * the test body's Jacobi constant; the test body can only move where 2U is larger.
+ * @function
+ * @name drawLagrangeOverlay
+ * @returns {void}
+ */
+function drawLagrangeOverlay() {
+  const pair = lagrangePair();
+  if (!pair) {
+    return;
+  }
+  const { primary, secondary } = pair;
+  push();
+  const testBody = simulation.bodies.find(
+    (body) => body.id === lagrangeConfig.testBody
+  );
+  if (
+    lagrangeConfig.showCurves &&
+    testBody &&
+    testBody !== primary &&
+    testBody !== secondary
+  ) {
+    const jacobi = computeJacobiConstant(
+      testBody,
+      primary,
+      secondary,
+      physicsConfig.gravity
+    );
+    const pairFrame = corotatingFrame(primary, secondary);
+    const cells = lagrangeConfig.gridSize;
+    const halfSize = 2 * pairFrame.distance;
+    const cellSize = (2 * halfSize) / cells;
+    const cornerX = pairFrame.origin.x - halfSize;
+    const cornerY = pairFrame.origin.y - halfSize;
+    const values = [];
+    for (let i = 0; i <= cells; i++) {
+      values.push([]);
+      for (let j = 0; j <= cells; j++) {
+        values[i].push(
+          effectivePotential(
+            new Vector(cornerX + i * cellSize, cornerY + j * cellSize),
+            primary,
+            secondary,
+            pairFrame,
+            physicsConfig.gravity
+          ) - jacobi
+        );
+      }
+    }
+    stroke(120);
+    strokeWeight(1 / view.zoom);
+    for (let i = 0; i < cells; i++) {
+      for (let j = 0; j < cells; j++) {
+        const corners = [
+          [i, j],
+          [i + 1, j],
+          [i + 1, j + 1],
+          [i, j + 1],
+        ];
+        const crossings = [];
+        corners.forEach(([ax, ay], k) => {
+          const [bx, by] = corners[(k + 1) % 4];
+          const a = values[ax][ay];
+          const b = values[bx][by];
+          if (a < 0 !== b < 0) {
+            const t = a / (a - b);
+            crossings.push([
+              cornerX + (ax + (bx - ax) * t) * cellSize,
+              cornerY + (ay + (by - ay) * t) * cellSize,
+            ]);
+          }
+        });
+        for (let k = 0; k + 1 < crossings.length; k += 2) {
+          line(...crossings[k], ...crossings[k + 1]);
+        }
+      }
+    }
+  }
+
+  if (lagrangeConfig.showPoints) {
+    const markerSize = 5 / view.zoom;
+    textSize(11 / view.zoom);
+    textAlign(LEFT, BOTTOM);
+    for (const point of computeLagrangePoints(primary, secondary)) {
+      const { x, y } = point.position;
+      stroke(0);
+      strokeWeight(1.5 / view.zoom);
+      line(x - markerSize, y, x + markerSize, y);
+      line(x, y - markerSize, x, y + markerSize);
+      noStroke();
+      fill(0);
+      text(point.name, x + markerSize, y - markerSize);
+    }
+  }
+  pop();
+}
+
+/**
+ * Finds the body whose gravity is strongest at a point
+ * @function
+ * @name dominantBody
+ * @param {Vector} position - The point in world coordinates
+ * @returns {CelestialBody} The body with the largest mass divided by squared distance
+ */
+function dominantBody(position) {
+  let strongest = simulation.bodies[0];
+  let strongestPull = -Infinity;
+  for (const body of simulation.bodies) {
+    const pull = body.mass / Vector.sub(body.position, position).magSq();
+    if (pull > strongestPull) {
+      strongest = body;
+      strongestPull = pull;
+    }
+  }
+  return strongest;
+}
+
+/**
+ * Calculates the launch velocity from the current drag.
+ * The drag vector sets the velocity relative to the launch parent. Holding shift
+ * snaps to the circular orbit speed, perpendicular to the parent in the direction
+ * the drag leans towards, and holding alt snaps to escape speed along the drag.
+ * @function
+ * @name launchVelocity
+ * @returns {Vector} The absolute launch velocity
+ */
+function launchVelocity() {
+  const drag = Vector.sub(launch.end, launch.start);
+  const offset = Vector.sub(launch.start, launch.parent.position);
+  const mu =
+    physicsConfig.gravity * (launch.parent.mass + launch.properties.mass);
+  let velocity = Vector.mult(drag, launchConfig.velocityScale);
+  if (keyIsDown(SHIFT)) {
+    const tangent = offset.copy().rotate(HALF_PI).normalize();
+    velocity = tangent.mult(
+      Math.sign(tangent.dot(drag) || 1) * Math.sqrt(mu / offset.mag())
+    );
+  } else if (keyIsDown(ALT)) {
+    velocity = drag.copy().setMag(Math.sqrt((2 * mu) / offset.mag()));
+  }
+  return velocity.add(launch.parent.velocity);
+}
+
+/**
+ * Predicts the path of a satellite launched from a point by simulating it together
+ * with the most massive bodies, which are allowed to move as well.
+ * The prediction stops early if the satellite hits one of them.
+ * @function
+ * @name predictLaunchPath
+ * @param {Vector} position - Launch position
+ * @param {Vector} velocity - Launch velocity
+ * @param {number} mass - Mass of the satellite
+ * @returns {Vector[]} Predicted positions of the satellite, one per physics tick
+ */
+function predictLaunchPath(position, velocity, mass) {
+  const attractors = [...simulation.bodies]
+    .sort((a, b) => b.mass - a.mass)
+    .slice(0, physicsConfig.maxParentCandidates);
+  const radii = attractors.map((body) => body.size / 2);
+  const paths = simulation.simulatePaths(
+    attractors
+      .map((body) => ({
+        position: body.position,
+        velocity: body.velocity,
+        mass: body.mass,
+      }))
+      .concat({ position, velocity, mass }),
+    launchConfig.previewTicks,
+    (positions) =>
+      !positions
+        .slice(0, -1)
+        .some(
+          (other, i) =>
+            Vector.dist(other, positions[positions.length - 1]) < radii[i]
+        )
+  );
+  return paths[paths.length - 1];
+}
+
+/**
+ * Draws the satellite being launched, its launch vector and its predicted path
+ * @function
+ * @name drawLaunch
+ * @returns {void}
+ */
+function drawLaunch() {
+  const { start, end, properties, preview } = launch;
+  noFill();
+  stroke(properties.color);
+  strokeWeight(1 / view.zoom);
+  beginShape();
+  for (const point of preview) {
+    vertex(point.x, point.y);
+  }
+  endShape();
+
+  stroke(0);
+  line(start.x, start.y, end.x, end.y);
+  fill(properties.color);
+  strokeWeight(2 / view.zoom);
+  ellipse(start.x, start.y, properties.size, properties.size);
+
+  const speed = Vector.sub(launchVelocity(), launch.parent.velocity).mag();
+  noStroke();
+  fill(0);
+  textSize(12 / view.zoom);
+  textAlign(LEFT, BOTTOM);
+  text(`v = ${speed.toFixed(2)}`, end.x + 8 / view.zoom, end.y);
+}
+
+/**
+ * @function
+ * @name isTyping
+ * @description Checks whether keyboard input currently goes to a menu input
+ * @returns {boolean} True if an input element has focus
+ */
+function isTyping() {
+  return Boolean(
+    document.activeElement && document.activeElement.tagName === "INPUT"
+  );
+}
+
+/**
+ * @function
+ * @name keyPressed
+ * @description Handles keyboard shortcuts:
+ * - F follows the body under the cursor, or stops following if there is none
+ * - Escape closes the inspector
+ * - Space pauses or resumes the simulation
+ * - Period steps one physics tick
+ * - Comma rewinds while held
+ * @returns {boolean|undefined} False to stop the browser handling space, undefined otherwise
+ */
+function keyPressed() {
+  if (isTyping()) {
+    return;
+  }
+  if (key === "f" || key === "F") {
+    view.followTarget = bodyAtScreen(mouseX, mouseY);
+  } else if (key === " ") {
+    togglePause();
+    return false;
+  } else if (key === ".") {
+    stepOnce();
+  } else if (keyCode === ESCAPE) {
+    selectBody(null);
+  }
+}
+
+/**
+ * @constant {Object[]} INSPECTOR_FIELDS
+ * @description Rows of the body inspector.
+ * Each field reads a value from the body and its orbital elements, and fields with
+ * an edit function apply a new value by changing the elements, after which the
+ * body's state vector is solved again. Angles are shown in degrees.
+ * @property {string} id - Key of the field
+ * @property {string} label - Label shown next to the input
+ * @property {Function} read - Returns the value shown for a body and its elements
+ * @property {Function} [edit] - Returns the changed elements for a new value, or applies the value directly
+ * @property {boolean} [withoutParent] - Whether the field also applies to bodies without a parent
+ */
+const INSPECTOR_FIELDS = [
+  {
+    id: "mass",
+    label: "mass",
+    withoutParent: true,
+    read: (body) => body.mass,
+    edit: (body, value, elements) => {
+      if (!(value > 0)) {
+        throw new Error("Mass must be positive");
+      }
+      body.mass = value;
+      return elements;
+    },
+  },
+  {
+    id: "speed",
+    label: "speed",
+    read: (body, elements) => elements.speed,
+    edit: (body, value) => {
+      if (!(value >= 0)) {
+        throw new Error("Speed must not be negative");
+      }
+      body.setRelativeVelocity(body.relativeVelocity().setMag(value));
+      return null;
+    },
+  },
+  {
+    id: "semimajorAxis",
+    label: "a",
+    read: (body, elements) => elements.semimajorAxis,
+    edit: (body, value, elements) => ({ ...elements, semimajorAxis: value }),
+  },
+  {
+    id: "eccentricity",
+    label: "e",
+    read: (body, elements) => elements.eccentricity,
+    edit: (body, value, elements) => ({
+      ...elements,
+      eccentricity: value,
+      semimajorAxis: elements.periapsis / (1 - value),
+    }),
+  },
+  {
+    id: "period",
+    label: "period",
+    read: (body, elements) => elements.period,
+    edit: (body, value, elements) => ({
+      ...elements,
+      semimajorAxis: Math.cbrt(
+        (body.gravitationalParameter * value * value) / (4 * Math.PI * Math.PI)
+      ),
+    }),
+  },
+  {
+    id: "periapsis",
+    label: "periapsis",
+    read: (body, elements) => elements.periapsis,
+    edit: (body, value, elements) => ({
+      ...elements,
+      semimajorAxis: value / (1 - elements.eccentricity),
+    }),
+  },
+  {
+    id: "apoapsis",
+    label: "apoapsis",
+    read: (body, elements) => elements.apoapsis,
+    edit: (body, value, elements) => ({
+      ...elements,
+      semimajorAxis: value / (1 + elements.eccentricity),
+    }),
+  },
+  {
+    id: "argumentOfPeriapsis",
+    label: "arg. periapsis",
+    read: (body, elements) => degrees(elements.argumentOfPeriapsis),
+    edit: (body, value, elements) => ({
+      ...elements,
+      argumentOfPeriapsis: radians(value),
+    }),
+  },
+  {
+    id: "trail",
+    label: "trail length",
+    withoutParent: true,
+    read: (body) => trailLengthOf(body),
+    edit: (body, value) => {
+      if (!(value >= 0)) {
+        throw new Error("Trail length must not be negative");
+      }
+      setTrailLength(body, Math.round(value));
+      return null;
+    },
+  },
+];
+
+/**
+ * Creates the inspector panel for the selected body. The panel shows the body's
+ * mass, speed relative to its parent, parent, orbital elements and trail length,
+ * which can all be edited, and a button to delete the body.
+ * @function
+ * @name createInspector
+ * @returns {void}
+ */
+function createInspector() {
+  inspector = createElement("menu")
+    .style("visibility", "hidden")
+    .style("position", "absolute")
+    .style("right", "10px")
+    .style("bottom", "30px")
+    .style("margin", "0")
+    .style("list-style-type", "none")
+    .style("background-color", "#EEEEEE")
+    .style("padding", "15px")
+    .style("border-radius", "5px")
+    .style("min-width", "220px")
+    .style("border", "2px solid #666666")
+    .style("opacity", 0.95)
+    .style("box-shadow", "0 2px 4px rgba(0, 0, 0, 0.2)");
+  inspector.mouseOver(() => {
+    menuHover = true;
+  });
+  inspector.mouseOut(() => {
+    menuHover = false;
+  });
+
+  createElement("li")
+    .id("inspector.title")
+    .parent(inspector)
+    .style("text-align", "center")
+    .style("margin-bottom", "5px");
+
+  const parentSelect = createSelect().id("inspector.parent");
+  parentSelect.changed(() => {
+    applyInspectorEdit("parent", Number(parentSelect.value()));
+  });
+  createInspectorRow("parent", parentSelect);
+
+  for (const field of INSPECTOR_FIELDS) {
+    const input = createInput("", "number")
+      .id(`inspector.${field.id}`)
+      .attribute("step", "any");
+    input.changed(() => {
+      applyInspectorEdit(field.id, Number(input.value()));
+    });
+    createInspectorRow(field.label, input);
+  }
+
+  createElement("li")
+    .parent(inspector)
+    .style("display", "flex")
+    .style("justify-content", "space-between")
+    .style("margin-top", "10px")
+    .child(
+      createButton("delete").mouseClicked(() => {
+        // The primary body is kept so that the simulation is never empty
+        if (selectedBody !== simulation.bodies[0]) {
+          simulation.removeBody(selectedBody);
+          selectBody(null);
+        }
+      })
+    )
+    .child(
+      createButton("unlock parent")
+        .id("inspector.parentLocked")
+        .mouseClicked(() => {
+          const body = resolveBody(selectedBody);
+          if (body) {
+            body.parentLocked = !body.parentLocked;
+            updateInspector();
+          }
+        })
+    )
+    .child(
+      createButton("track")
+        .id("inspector.track")
+        .mouseClicked(() => {
+          const { id } = selectedBody;
+          if (!view.trackedIds.delete(id)) {
+            view.trackedIds.add(id);
+          }
+          updateInspector();
+        })
+    )
+    .child(createButton("close").mouseClicked(() => selectBody(null)));
+}
+
+/**
+ * Creates an inspector row with a label and input element
+ * @function
+ * @name createInspectorRow
+ * @param {string} labelText - Text for the label
+ * @param {p5.Element} inputElement - Input element to add
+ * @returns {p5.Element} The created row element
+ */
+function createInspectorRow(labelText, inputElement) {
+  return createElement("li")
+    .style("display", "flex")
+    .style("align-items", "baseline")
+    .style("margin-bottom", "4px")
     .child(
       createElement("label", labelText)
-        .attribute("for", inputId)
-        .style("flex", "0 0 80px")
-        .style("line-height", "20px")
-    )
-    .child(
-      inputElement
-        .id(inputId)
-        .style("flex", "1")
-        .style("height", isSlider ? "10px" : "20px")
-        .style("box-sizing", "border-box")
+        .attribute("for", inputElement.id())
+        .style("flex", "0 0 100px")
     )
-    .parent(menu);
+    .child(inputElement.style("flex", "1").style("width", "100px"))
+    .parent(inspector);
 }
 
 /**
- * Toggles the visibility of the configuration menu.
- * If the menu is currently visible, it will be hidden; otherwise, it will become visible.
+ * Selects a body and shows it in the inspector, or hides the inspector
  * @function
- * @name openMenu
+ * @name selectBody
+ * @param {CelestialBody|null} body - The body to select, or null to clear the selection
  * @returns {void}
  */
-function openMenu() {
-  menu.style(
-    "visibility",
-    menu.style("visibility") === "visible" ? "hidden" : "visible"
-  );
+function selectBody(body) {
+  selectedBody = body;
+  menuHover = false;
+  updateInspector();
 }
 
 /**
- * Main animation loop that updates and renders all celestial bodies
- * @function draw
+ * Refreshes the inspector with the selected body's current values.
+ * The input that has focus is left alone so it can be edited.
+ * @function
+ * @name updateInspector
  * @returns {void}
  */
-function draw() {
-  background(220);
-  translate(centerX(), centerY());
+function updateInspector() {
+  selectedBody = resolveBody(selectedBody);
+  inspector.style("visibility", selectedBody ? "visible" : "hidden");
+  if (!selectedBody) {
+    return;
+  }
+  const body = selectedBody;
+  document.getElementById("inspector.title").textContent = `BODY ${body.id}`;
+  document.getElementById("inspector.track").textContent = view.trackedIds.has(
+    body.id
+  )
+    ? "untrack"
+    : "track";
+  document.getElementById("inspector.parentLocked").textContent =
+    body.parentLocked ? "unlock parent" : "lock parent";
+
+  const parentSelect = document.getElementById("inspector.parent");
+  if (parentSelect !== document.activeElement) {
+    const options = [["none", -1]].concat(
+      simulation.bodies
+        .filter((other) => other !== body)
+        .map((other) => [`body ${other.id}`, other.id])
+    );
+    if (parentSelect.options.length !== options.length) {
+      parentSelect.replaceChildren(
+        ...options.map(([label, id]) => new Option(label, id))
+      );
+    }
+    parentSelect.value = String(body.parent ? body.parent.id : -1);
+  }
 
-  for (const body of bodies) {
-    body.applyGravity();
-    body.update();
-    if (body === bodies[0]) {
-      body.position.set(0, 0);
+  const elements = body.parent ? body.getOrbitalElements() : null;
+  for (const field of INSPECTOR_FIELDS) {
+    const input = document.getElementById(`inspector.${field.id}`);
+    if (input === document.activeElement) {
+      continue;
     }
+    const value =
+      elements || field.withoutParent ? field.read(body, elements) : NaN;
+    input.value = Number.isFinite(value) ? Number(value.toPrecision(6)) : "";
+    input.disabled = !elements && !field.withoutParent;
+    input.style.borderColor = "";
   }
+}
 
-  for (const body of bodies) {
-    body.drawOrbit();
+/**
+ * Applies a value edited in the inspector to the selected body and solves its
+ * state vector again. Edits that would give an invalid orbit are rejected and the
+ * input is outlined in red.
+ * @function
+ * @name applyInspectorEdit
+ * @param {string} fieldId - Key of the edited field, or "parent"
+ * @param {number} value - The new value
+ * @returns {void}
+ */
+function applyInspectorEdit(fieldId, value) {
+  const body = resolveBody(selectedBody);
+  if (!body) {
+    return;
   }
-  for (const body of bodies) {
-    body.display();
+  const input = document.getElementById(`inspector.${fieldId}`);
+  const previous = {
+    mass: body.mass,
+    parent: body.parent,
+    parentLocked: body.parentLocked,
+    position: body.position.copy(),
+    velocity: body.velocity.copy(),
+  };
+  try {
+    const elements = body.parent ? body.getOrbitalElements() : null;
+    if (fieldId === "parent") {
+      const parent =
+        simulation.bodies.find((other) => other.id === value) || null;
+      body.parent = parent;
+      body.parentLocked = true;
+      if (parent && elements) {
+        body.setOrbitalElements(elements);
+      }
+    } else {
+      const field = INSPECTOR_FIELDS.find((other) => other.id === fieldId);
+      const changed = field.edit(body, value, elements);
+      if (changed && body.parent) {
+        body.setOrbitalElements(changed);
+      }
+    }
+    if (
+      !Number.isFinite(body.position.x + body.position.y) ||
+      !Number.isFinite(body.velocity.x + body.velocity.y)
+    ) {
+      throw new Error("Edit gives an invalid orbit");
+    }
+    body.calculateOrbitalParameters();
+    input.blur();
+    updateInspector();
+  } catch (error) {
+    Object.assign(body, previous);
+    body.calculateOrbitalParameters();
+    input.style.borderColor = "red";
+    console.warn(error.message);
   }
 }
 
 /**
- * Generates random coordinates within valid bounds for new celestial bodies.
+ * Clears the simulation and rebuilds the scene chosen in scenarioConfig from
+ * seedConfig.seed, so the same seed always gives the same bodies. The camera is
+ * reset to the scene's zoom.
  * @function
- * @name generateRandomCoordinates
- * @param {CelestialBody} parent - The parent celestial body
- * @param {number} [minDistance=0] - Minimum distance from the center point
- * @param {number} [maxDistance=null] - Maximum distance from the center point
- * @returns {p5.Vector} A vector containing valid random coordinates
- */
-function generateRandomCoordinates(
-  parent,
-  minDistance = 0,
-  maxDistance = null
-) {
-  minDistance =
-    minDistance > min(centerX(), centerY())
-      ? Math.min(centerX(), centerY()) / 2
-      : minDistance;
-
-  const closestEdge = Math.min(
-    centerX() - Math.abs(parent.position.x),
-    centerY() - Math.abs(parent.position.y)
+ * @name restartWithSeed
+ * @returns {void}
+ */
+function restartWithSeed() {
+  reseed();
+  simulation.reset();
+  tickAccumulator = 0;
+  diagnostics.baseline = null;
+  stateHistory.clear();
+  trails.clear();
+  prediction = null;
+  selectedBody = null;
+  view.trackedIds.clear();
+  clearEventLog();
+  const scenario = SCENARIOS[scenarioConfig.scenario] || SCENARIOS.default;
+  resetView();
+  view.zoom = scenario.zoom ?? 1;
+  createScene(scenario);
+  newSatelliteConfig.color = color(
+    seededRandom(255),
+    seededRandom(255),
+    seededRandom(255)
   );
-  maxDistance = maxDistance ? Math.min(maxDistance, closestEdge) : closestEdge;
+  syncMenuInputs();
+}
+
+/**
+ * Generates a random offset for a new celestial body, in a random direction and
+ * at a random distance within the given bounds. The offset only depends on the
+ * bounds and the seeded generator, not on the window or the camera, so a seed
+ * always places bodies the same way.
+ * @function
+ * @name generateRandomCoordinates
+ * @param {number} minDistance - Minimum distance from the center point
+ * @param {number} maxDistance - Maximum distance from the center point
+ * @returns {Vector} The offset from the center point
+ */
+function generateRandomCoordinates(minDistance, maxDistance) {
+  const angle = seededRandom(0, TWO_PI);
+  const distance = seededRandom(minDistance, maxDistance);
+
+  return new Vector(distance * Math.cos(angle), distance * Math.sin(angle));
+}
 
-  const angle = random(0, TWO_PI);
-  const distance = random(minDistance, maxDistance);
+/**
+ * Draws a value from the seeded random generator, see p5's random, and counts
+ * the draw in seedConfig.draws so that the generator's position can be saved
+ * @function
+ * @name seededRandom
+ * @param {...*} args - Arguments passed to random
+ * @returns {*} The value returned by random
+ */
+function seededRandom(...args) {
+  seedConfig.draws++;
+  return random(...args);
+}
 
-  return createVector(distance * Math.cos(angle), distance * Math.sin(angle));
+/**
+ * Seeds the random generator with seedConfig.seed and advances it past a number
+ * of draws, so that it continues where a saved session left off
+ * @function
+ * @name reseed
+ * @param {number} [draws=0] - Number of draws to skip
+ * @returns {void}
+ */
+function reseed(draws = 0) {
+  randomSeed(seedConfig.seed);
+  for (let i = 0; i < draws; i++) {
+    random();
+  }
+  seedConfig.draws = draws;
 }
 
 /**
@@ -475,291 +4068,604 @@ function getRandomInt(min, max) {
   if (min > max) {
     return min;
   }
-  return Math.floor(random() * (max - min) + min);
+  return Math.floor(seededRandom() * (max - min) + min);
 }
 
 /**
+ * Converts a color to a string that can be stored and passed back to color()
  * @function
- * @name mouseClicked
- * @description Handles mouse click events and adds a new satellite if the click is not on the menu
- * @returns {number} Returns 0 if click is on menu, undefined otherwise
+ * @name serializeColor
+ * @param {string|p5.Color} bodyColor - The color to convert
+ * @returns {string} A CSS color name or hex string
  */
-function mouseClicked() {
-  if (menuHover) {
-    return 0;
+function serializeColor(bodyColor) {
+  if (typeof bodyColor === "string") {
+    return bodyColor;
   }
-  const mouseVector = createVector(mouseX - centerX(), mouseY - centerY());
-  const newSatellite = {
+  const hex = bodyColor.toString("#rrggbbaa");
+  return hex.endsWith("ff") ? hex.slice(0, 7) : hex;
+}
+
+/**
+ * Exports the full simulation state as a versioned, JSON-compatible document,
+ * with colors converted to strings and the random seed and the number of values
+ * drawn from it added to the settings
+ * @function
+ * @name serializeState
+ * @returns {Object} The state document
+ */
+function serializeState() {
+  const state = simulation.getState();
+  state.settings.seed = seedConfig.seed;
+  state.settings.randomDraws = seedConfig.draws;
+  for (const body of state.bodies) {
+    body.color = serializeColor(body.color);
+  }
+  return state;
+}
+
+/**
+ * Captures the bodies, time and body counters of the simulation for rewinding.
+ * Settings and the random seed are left out, so that rewinding does not undo
+ * changes made in the config menu since the snapshot was taken.
+ * @function
+ * @name takeSnapshot
+ * @returns {Object} A state document without settings
+ */
+function takeSnapshot() {
+  const snapshot = serializeState();
+  delete snapshot.settings;
+  return snapshot;
+}
+
+/**
+ * Replaces the bodies and time of the simulation with those in a state document
+ * without touching the random generator. Snapshots from takeSnapshot hold no
+ * settings, so the current settings are kept.
+ * @function
+ * @name restoreSnapshot
+ * @param {Object} snapshot - The state document
+ * @returns {void}
+ * @throws {Error} If the document has an unsupported version or contains no bodies
+ */
+function restoreSnapshot(snapshot) {
+  simulation.loadState(snapshot);
+  tickAccumulator = 0;
+  diagnostics.baseline = null;
+  trimTrails();
+}
+
+/**
+ * Replaces the simulation with the state stored in a document from serializeState,
+ * including its settings. The random generator is reseeded with the stored seed
+ * and advanced past the stored number of draws, so later random decisions continue
+ * the saved session instead of repeating its start.
+ * @function
+ * @name loadState
+ * @param {Object} state - The state document
+ * @returns {void}
+ * @throws {Error} If the document has an unsupported version or contains no bodies
+ */
+function loadState(state) {
+  restoreSnapshot(state);
+  const settings = state.settings || {};
+  seedConfig.seed = settings.seed ?? seedConfig.seed;
+  reseed(settings.randomDraws ?? 0);
+}
+
+/**
+ * Encodes a state document compactly for use in a URL hash.
+ * Bodies are packed into arrays and the JSON is base64url encoded.
+ * @function
+ * @name encodeState
+ * @param {Object} state - The state document
+ * @returns {string} The encoded state
+ */
+function encodeState(state) {
+  const packed = {
+    v: state.version,
+    t: state.time,
+    s: state.settings,
+    b: state.bodies.map((body) => [
+      body.id,
+      body.mass,
+      body.position.x,
+      body.position.y,
+      body.velocity.x,
+      body.velocity.y,
+      body.size,
+      body.color,
+      body.parent,
+    ]),
+    r: state.removedCount,
+    n: state.nextBodyId,
+  };
+  const bytes = new TextEncoder().encode(JSON.stringify(packed));
+  return btoa(Array.from(bytes, (byte) => String.fromCharCode(byte)).join(""))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * Decodes a state produced by encodeState back into a state document
+ * @function
+ * @name decodeState
+ * @param {string} encoded - The encoded state
+ * @returns {Object} The state document
+ */
+function decodeState(encoded) {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  const packed = JSON.parse(new TextDecoder().decode(bytes));
+  return {
+    version: packed.v,
+    time: packed.t,
+    settings: packed.s,
+    bodies: packed.b.map(
+      ([id, mass, x, y, vx, vy, size, bodyColor, parent]) => ({
+        id,
+        mass,
+        position: { x, y },
+        velocity: { x: vx, y: vy },
+        size,
+        color: bodyColor,
+        parent,
+      })
+    ),
+    removedCount: packed.r,
+    nextBodyId: packed.n,
+  };
+}
+
+/**
+ * Loads the state stored in the page's URL hash (#state=...), if there is one
+ * @function
+ * @name loadStateFromUrl
+ * @returns {boolean} True if a state was loaded
+ */
+function loadStateFromUrl() {
+  const match = window.location.hash.match(/state=([\w-]+)/);
+  if (!match) {
+    return false;
+  }
+  try {
+    loadState(decodeState(match[1]));
+    stateHistory.clear();
+    trails.clear();
+    return true;
+  } catch (error) {
+    console.warn("Could not load state from URL:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Stores the current state in the URL hash and copies the link to the clipboard
+ * @function
+ * @name shareStateLink
+ * @returns {void}
+ */
+function shareStateLink() {
+  const url = new URL(window.location.href);
+  url.hash = `state=${encodeState(serializeState())}`;
+  history.replaceState(null, "", url);
+  if (navigator.clipboard) {
+    navigator.clipboard
+      .writeText(url.toString())
+      .catch((error) => console.warn("Could not copy link:", error.message));
+  }
+}
+
+/**
+ * Loads a state document chosen through the import file input
+ * @function
+ * @name importStateFile
+ * @param {p5.File} file - The selected file
+ * @returns {void}
+ */
+function importStateFile(file) {
+  try {
+    const state =
+      typeof file.data === "string" ? JSON.parse(file.data) : file.data;
+    loadState(state);
+    stateHistory.clear();
+    trails.clear();
+    syncMenuInputs();
+  } catch (error) {
+    console.warn("Could not import state:", error.message);
+  }
+}
+
+/**
+ * Picks the mass, size and color of the next satellite from newSatelliteConfig,
+ * then chooses a new random color for the satellite after it
+ * @function
+ * @name nextSatelliteProperties
+ * @returns {{mass: number, size: number, color: p5.Color}} The satellite's properties
+ */
+function nextSatelliteProperties() {
+  const properties = {
     mass: getRandomInt(newSatelliteConfig.massMin, newSatelliteConfig.massMax),
     size: newSatelliteConfig.size,
     color: newSatelliteConfig.color,
-    position: mouseVector,
-    eccentricity: newSatelliteConfig.eccentricity,
   };
-  newSatelliteConfig.color = color(random(255), random(255), random(255));
+  newSatelliteConfig.color = color(
+    seededRandom(255),
+    seededRandom(255),
+    seededRandom(255)
+  );
   document.getElementById("newSatelliteConfig.color").value =
     newSatelliteConfig.color.toString();
-  newSatellite.size =
-    newSatellite.size === -1
+  properties.size =
+    properties.size === -1
       ? map(
-          newSatellite.mass,
+          properties.mass,
           newSatelliteConfig.massMin,
           newSatelliteConfig.massMax,
           10,
           40
         )
-      : newSatellite.size;
+      : properties.size;
+  return properties;
+}
+
+/**
+ * Adds a satellite on the orbit described by orbitSpecConfig, with its mass, size
+ * and color taken from newSatelliteConfig. Invalid orbits are reported with a red
+ * border on the add button.
+ * @function
+ * @name addSatelliteFromMenu
+ * @returns {void}
+ */
+function addSatelliteFromMenu() {
+  const button = document.getElementById("orbitSpecConfig.add");
+  const parent = simulation.bodies.find(
+    (body) => body.id === orbitSpecConfig.parent
+  );
+  try {
+    if (!parent) {
+      throw new Error("Parent body not found");
+    }
+    const properties = nextSatelliteProperties();
+    parent.addSatelliteFromElements(
+      properties.mass,
+      properties.size,
+      properties.color,
+      {
+        semimajorAxis: orbitSpecConfig.semimajorAxis,
+        eccentricity: orbitSpecConfig.eccentricity,
+        argumentOfPeriapsis: radians(orbitSpecConfig.argumentOfPeriapsis),
+        trueAnomaly: radians(orbitSpecConfig.trueAnomaly),
+        direction: orbitSpecConfig.direction === "retrograde" ? -1 : 1,
+      }
+    );
+    button.style.borderColor = "";
+  } catch (error) {
+    button.style.borderColor = "red";
+    console.warn(error.message);
+  }
+}
+
+/**
+ * @function
+ * @name mouseClicked
+ * @description Handles mouse click events. Clicking a body selects it in the inspector,
+ * clicking empty space adds a new satellite at the clicked world position.
+ * Clicks on the menu or at the end of a drag are ignored.
+ * @returns {number} Returns 0 if no satellite was added, undefined otherwise
+ */
+function mouseClicked() {
+  if (menuHover || dragDistance > 5) {
+    return 0;
+  }
+  const clickedBody = bodyAtScreen(mouseX, mouseY);
+  if (clickedBody) {
+    selectBody(clickedBody);
+    return 0;
+  }
+  const newSatellite = {
+    ...nextSatelliteProperties(),
+    position: screenToWorld(mouseX, mouseY).sub(simulation.bodies[0].position),
+    eccentricity: newSatelliteConfig.eccentricity,
+  };
 
-  bodies[0].addSatellite(
+  simulation.bodies[0].addSatellite(
     newSatellite.mass,
     newSatellite.size,
     newSatellite.color,
     newSatellite.position,
-    newSatellite.eccentricity
+    newSatellite.eccentricity,
+    seededRandom() > 0.5 ? 1 : -1
   );
 }
 
 /**
- @module CelestialBody
-*/
-class CelestialBody {
-  /**
- * Class representing a celestial body in the gravitational simulation.
- * This class handles the physics and rendering of a celestial body, including its position, velocity, acceleration, and orbital parameters.
-   * @constructor 
-   * @name CelestialBody
-   * @param {number} mass - Mass of the celestial body
-   * @param {number} x - Initial x-coordinate
-   * @param {number} y - Initial y-coordinate
-   * @param {number} vx - Initial x-velocity
-   * @param {number} vy - Initial y-velocity
-   * @param {number} size - Diameter of the celestial body
-   * @param {string|p5.Color} color - Color of the celestial body
-   * @param {CelestialBody} [parent=null] - Parent body (null for primary bodies)
-   * @throws {Error} If mass is negative or zero
-   */
-  constructor(mass, x, y, vx, vy, size, color, parent = null) {
-    if (mass <= 0) {
-      throw new Error("Mass must be positive");
-    }
-    this.mass = mass;
-    this.position = createVector(x, y);
-    this.velocity = createVector(vx, vy);
-    this.acceleration = createVector(0, 0);
-    this.size = size;
-    this.color = color;
-    this.parent = parent;
-    this.calculateOrbitalParameters();
-    this.timeOut = 100;
+ * Draws the orbital path of the celestial body as a conic section around its parent.
+ * Elliptical orbits are drawn as an ellipse. Parabolic and hyperbolic orbits are
+ * drawn as a polyline out to the edge of the view, hyperbolas with dashed asymptotes,
+ * and the body is labeled as escaping. The periapsis is marked with a dot.
+ * Drawing happens in the perifocal frame: the parent is at the origin and the
+ * periapsis lies on the positive x axis.
+ * @function
+ * @name drawOrbit
+ * @param {CelestialBody} body - The body to draw
+ * @returns {void}
+ */
+function drawOrbit(body) {
+  if (!body.parent || !body.orbitalElements) {
+    return;
   }
-  /**
-   * Calculates the standard gravitational parameter of the body.
-   * The parameter represents the product of the gravitational constant and the mass of the body (or system).
-   * @method
-   * @name gravitationalParameter
-   * @returns {number} The standard gravitational parameter.
-   */
-  get gravitationalParameter() {
-    return this.parent
-      ? GRAVITY * (this.parent.mass + this.mass)
-      : GRAVITY * this.mass;
+  const {
+    eccentricity,
+    semimajorAxis,
+    semiminorAxis,
+    semilatusRectum,
+    argumentOfPeriapsis,
+    periapsis,
+  } = body.orbitalElements;
+  if (!(semilatusRectum > 0)) {
+    return;
   }
 
-  /**
-   * Draws the orbital path of the celestial body
-   * @method
-   * @name drawOrbit
-   * @returns {void}
-   */
-  drawOrbit() {
-    if (!this.parent) {
-      return;
-    }
+  push();
+  translate(body.parent.position.x, body.parent.position.y);
+  rotate(argumentOfPeriapsis);
+  strokeWeight(2 / view.zoom);
+  noFill();
+  stroke(body.color);
 
-    const centerToFocus = p5.Vector.mult(
-      this.eccentricityVector,
-      this.semimajorAxis
+  if (eccentricity < 1 - PARABOLIC_TOLERANCE) {
+    ellipse(
+      -semimajorAxis * eccentricity,
+      0,
+      semimajorAxis * 2,
+      semiminorAxis * 2
     );
+  } else {
+    const maxRadius =
+      Math.hypot(width, height) / view.zoom +
+      Vector.dist(body.parent.position, screenToWorld(centerX(), centerY()));
+    const asymptoteAnomaly =
+      eccentricity > 1 ? Math.acos(-1 / eccentricity) : Math.PI;
+    const maxAnomaly = Math.min(
+      asymptoteAnomaly - 1e-3,
+      Math.acos(
+        constrain((semilatusRectum / maxRadius - 1) / eccentricity, -1, 1)
+      )
+    );
+    const segments = 200;
+    beginShape();
+    for (let i = 0; i <= segments; i++) {
+      const anomaly = -maxAnomaly + (2 * maxAnomaly * i) / segments;
+      const radius = semilatusRectum / (1 + eccentricity * Math.cos(anomaly));
+      vertex(radius * Math.cos(anomaly), radius * Math.sin(anomaly));
+    }
+    endShape();
 
-    push();
-    translate(this.parent.position.x, this.parent.position.y);
-    rotate(Math.PI);
-    translate(centerToFocus.x, centerToFocus.y);
-    rotate(this.eccentricityVector.heading());
+    if (eccentricity > 1 + PARABOLIC_TOLERANCE) {
+      const hyperbolaCenter = -semimajorAxis * eccentricity;
+      strokeWeight(1 / view.zoom);
+      drawingContext.setLineDash([6 / view.zoom, 6 / view.zoom]);
+      for (const side of [-1, 1]) {
+        line(
+          hyperbolaCenter,
+          0,
+          hyperbolaCenter + maxRadius * Math.cos(asymptoteAnomaly),
+          side * maxRadius * Math.sin(asymptoteAnomaly)
+        );
+      }
+      drawingContext.setLineDash([]);
+    }
+  }
 
-    strokeWeight(2);
-    noFill();
-    stroke(this.color);
-    ellipse(0, 0, this.semimajorAxis * 2, this.semiminorAxis * 2);
-    pop();
+  if (eccentricity > 0.01) {
+    noStroke();
+    fill(body.color);
+    circle(periapsis, 0, 6 / view.zoom);
   }
+  pop();
 
-  /**
-   * Calculates the orbital parameters of the celestial body
-   * @method 
-   * @name calculateOrbitalParameters
-   * @returns {number} The orbital eccentricity
-   */
-  calculateOrbitalParameters() {
-    if (!this.parent) {
-      return 0;
-    }
-    const relativePosition = p5.Vector.sub(this.position, this.parent.position);
-    const specificAngularMomentum = p5.Vector.cross(
-      this.velocity,
-      p5.Vector.cross(relativePosition, this.velocity)
+  if (eccentricity >= 1) {
+    push();
+    noStroke();
+    fill(body.color);
+    textSize(12 / view.zoom);
+    textAlign(LEFT, BOTTOM);
+    text(
+      eccentricity > 1 + PARABOLIC_TOLERANCE
+        ? "escaping"
+        : "escaping (parabolic)",
+      body.position.x + body.size / 2 + 4 / view.zoom,
+      body.position.y - body.size / 2
     );
-    this.eccentricityVector = p5.Vector.div(
-      specificAngularMomentum,
-      this.gravitationalParameter
-    ).sub(p5.Vector.normalize(relativePosition));
-    this.eccentricity = p5.Vector.mag(this.eccentricityVector);
-    this.semimajorAxis =
-      -(this.gravitationalParameter * relativePosition.mag()) /
-      (relativePosition.mag() *
-        (p5.Vector.mag(this.velocity) * p5.Vector.mag(this.velocity)) -
-        2 * this.gravitationalParameter);
-    this.semiminorAxis =
-      this.semimajorAxis * Math.sqrt(1 - this.eccentricity * this.eccentricity);
-    return this.eccentricity;
+    pop();
   }
+}
 
-  /**
-   * Adds a satellite orbiting this celestial body
-   * @method
-   * @name addSatellite
-   * @param {number} mass - Mass of the satellite
-   * @param {number} size - Visual size of the satellite
-   * @param {string|p5.Color} color - Color of the satellite
-   * @param {p5.Vector} satellitePos - Initial position vector relative to parent
-   * @param {number} [eccentricity=0] - Orbital eccentricity modifier
-   * @returns {void}
-   */
-  addSatellite(mass, size, color, satellitePos, eccentricity = 0) {
-    const distanceToParent = p5.Vector.dist(satellitePos, this.position);
-    const velocityMagnitude = Math.sqrt(
-      this.gravitationalParameter *
-        (2 / distanceToParent - 1 / (distanceToParent / (1 + eccentricity)))
+/**
+ * Draws the celestial body
+ * @function
+ * @name drawBody
+ * @param {CelestialBody} body - The body to draw
+ * @returns {void}
+ */
+function drawBody(body) {
+  stroke(0);
+  strokeWeight(2 / view.zoom);
+  fill(body.color);
+  ellipse(body.position.x, body.position.y, body.size, body.size);
+}
+
+/**
+ * Draws the world radius around the center of mass, beyond which the boundary
+ * policy applies, as a dashed circle
+ * @function
+ * @name drawBoundary
+ * @returns {void}
+ */
+function drawBoundary() {
+  const center = simulation.barycenter().position;
+  noFill();
+  stroke(150);
+  strokeWeight(1 / view.zoom);
+  drawingContext.setLineDash([10 / view.zoom, 10 / view.zoom]);
+  circle(center.x, center.y, 2 * physicsConfig.worldRadius);
+  drawingContext.setLineDash([]);
+}
+
+/**
+ * Draws an arrow at the edge of the canvas pointing towards every tracked body
+ * that is off screen, labeled with its id and distance from the center of the view
+ * @function
+ * @name drawOffscreenIndicators
+ * @returns {void}
+ */
+function drawOffscreenIndicators() {
+  const margin = 20;
+  push();
+  textSize(11);
+  for (const id of view.trackedIds) {
+    const body = simulation.bodies.find((other) => other.id === id);
+    if (!body) {
+      continue;
+    }
+    const point = worldToScreen(body.position.x, body.position.y);
+    const radius = (body.size / 2) * view.zoom;
+    if (
+      point.x > -radius &&
+      point.x < width + radius &&
+      point.y > -radius &&
+      point.y < height + radius
+    ) {
+      continue;
+    }
+    const direction = new Vector(point.x - centerX(), point.y - centerY());
+    const scale = Math.min(
+      (centerX() - margin) / Math.abs(direction.x),
+      (centerY() - margin) / Math.abs(direction.y)
     );
-    const velocitySign = Math.random() > 0.5 ? 1 : -1;
-    const velocityVector = p5.Vector.sub(satellitePos, this.position)
-      .rotate(HALF_PI * velocitySign)
-      .setMag(velocityMagnitude);
-    const satellite = new CelestialBody(
-      mass,
-      this.position.x + satellitePos.x,
-      this.position.y + satellitePos.y,
-      velocityVector.x,
-      velocityVector.y,
-      size,
-      color,
-      this
+    const tip = Vector.mult(direction, scale);
+    push();
+    translate(centerX() + tip.x, centerY() + tip.y);
+    push();
+    rotate(direction.heading());
+    stroke(0);
+    strokeWeight(1);
+    fill(body.color);
+    triangle(0, 0, -14, -7, -14, 7);
+    pop();
+    noStroke();
+    fill(0);
+    textAlign(tip.x > 0 ? RIGHT : LEFT, tip.y > 0 ? BOTTOM : TOP);
+    text(
+      `body ${body.id}  ${(direction.mag() / view.zoom).toFixed(0)}`,
+      tip.x > 0 ? -16 : 16,
+      tip.y > 0 ? -8 : 8
     );
-    bodies.push(satellite);
+    pop();
   }
+  pop();
+}
 
-  /**
-   * @method
-   * @name applyGravity
-   * @description Applies gravitational forces to this celestial body from all other bodies
-   * @returns {void}
-   */
-  applyGravity() {
-    this.acceleration.set(0, 0);
-    for (const other of bodies) {
-      if (other === this) {
-        continue;
-      }
-      const distance = p5.Vector.sub(other.position, this.position);
-      const rSquared = p5.Vector.magSq(distance);
-      const force = (GRAVITY * this.mass * other.mass) / rSquared;
-      distance.setMag(force / this.mass);
-      this.acceleration.add(distance);
-    }
+/**
+ * Draws the sphere of influence of the celestial body as a dashed circle in its color
+ * @function
+ * @name drawSphereOfInfluence
+ * @param {CelestialBody} body - The body to draw
+ * @returns {void}
+ */
+function drawSphereOfInfluence(body) {
+  if (!Number.isFinite(body.sphereOfInfluence)) {
+    return;
   }
+  noFill();
+  stroke(body.color);
+  strokeWeight(1 / view.zoom);
+  drawingContext.setLineDash([2 / view.zoom, 6 / view.zoom]);
+  circle(body.position.x, body.position.y, 2 * body.sphereOfInfluence);
+  drawingContext.setLineDash([]);
+}
+
+/**
+ * Draws a ring around the celestial body to mark it as selected
+ * @function
+ * @name drawSelection
+ * @param {CelestialBody} body - The body to draw
+ * @returns {void}
+ */
+function drawSelection(body) {
+  noFill();
+  stroke(0);
+  strokeWeight(1 / view.zoom);
+  drawingContext.setLineDash([4 / view.zoom, 4 / view.zoom]);
+  ellipse(
+    body.position.x,
+    body.position.y,
+    body.size + 12 / view.zoom,
+    body.size + 12 / view.zoom
+  );
+  drawingContext.setLineDash([]);
+}
 
+/**
+ * Fixed-capacity first in, first out buffer that overwrites its oldest entry when full
+ */
+class RingBuffer {
   /**
-   * Draws the celestial body
-   * @method
-   * @name display
-   * @returns {void}
+   * @constructor
+   * @name RingBuffer
+   * @param {number} capacity - Maximum number of entries kept
    */
-  display() {
-    stroke(0);
-    strokeWeight(2);
-    fill(this.color);
-    ellipse(this.position.x, this.position.y, this.size, this.size);
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.entries = new Array(capacity);
+    this.start = 0;
+    this.size = 0;
   }
 
   /**
-   * Updates position and velocity based on acceleration
+   * Adds an entry, overwriting the oldest entry if the buffer is full
    * @method
-   * @name update
+   * @name push
+   * @param {*} entry - The entry to add
    * @returns {void}
    */
-  update() {
-    this.velocity.add(this.acceleration);
-    this.position.add(this.velocity);
-    const e = this.calculateOrbitalParameters();
-    if (this.parent) {
-      this.checkOtherBodies(e);
-      this.checkOrbitAndRemove();
+  push(entry) {
+    this.entries[(this.start + this.size) % this.capacity] = entry;
+    if (this.size < this.capacity) {
+      this.size++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
     }
   }
 
   /**
+   * Removes and returns the newest entry
    * @method
-   * @name checkOrbitAndRemove
-   * @description Checks if the body is still orbiting its parent and removes it if not, includes timeout to remove object from simulation if off screen for too long
-   * @returns {void}
+   * @name pop
+   * @returns {*} The newest entry, or undefined if the buffer is empty
    */
-  checkOrbitAndRemove() {
-    if (this.calculateOrbitalParameters() >= 1) {
-      this.timeOut--;
-      if (
-        this.timeOut <= 0 &&
-        Math.abs(this.position.x) > centerX() &&
-        Math.abs(this.position.y) > centerY()
-      ) {
-        bodies.splice(bodies.indexOf(this), 1);
-      }
-    } else {
-      this.timeOut = 100;
+  pop() {
+    if (this.size === 0) {
+      return undefined;
     }
+    this.size--;
+    const index = (this.start + this.size) % this.capacity;
+    const entry = this.entries[index];
+    this.entries[index] = undefined;
+    return entry;
   }
 
   /**
-   * Checks for better orbital configurations with other bodies
+   * Removes every entry
    * @method
-   * @name checkOtherBodies
-   * @param {number} eccentricity - Current orbital eccentricity
+   * @name clear
    * @returns {void}
    */
-  checkOtherBodies(eccentricity) {
-    const originalParent = bodies.indexOf(this.parent);
-    if (originalParent === -1) {
-      console.warn("Original parent body not found in bodies array");
-      return eccentricity;
-    }
-    let lowestEccentricity = eccentricity;
-    let bestParent = this.parent;
-    for (const potentialParent of bodies) {
-      if (
-        potentialParent === this ||
-        potentialParent === bodies[originalParent]
-      ) {
-        continue;
-      }
-      this.parent = potentialParent;
-      const newEccentricity = this.calculateOrbitalParameters();
-      if (newEccentricity < lowestEccentricity) {
-        lowestEccentricity = newEccentricity;
-        bestParent = potentialParent;
-        if (newEccentricity < 0.1) {
-          break;
-        }
-      }
-    }
-    this.parent = lowestEccentricity < 1 ? bestParent : bodies[originalParent];
+  clear() {
+    this.entries = new Array(this.capacity);
+    this.start = 0;
+    this.size = 0;
   }
 }
@@ -0,0 +1,284 @@
+/**
+ * Tests for the headless simulation core. Run with `node --test test/`.
+ */
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const {
+  Vector,
+  createSimulation,
+  computeLagrangePoints,
+  assignParentsBySphereOfInfluence,
+} = require("../simulation.js");
+
+/**
+ * Creates a star with a satellite on an eccentric orbit
+ * @param {Object} [config={}] - Settings that override DEFAULT_CONFIG
+ * @returns {Simulation} The simulation
+ */
+function createOrbit(config = {}) {
+  const simulation = createSimulation({ collisionMode: "none", ...config });
+  const star = simulation.createBody(10000, 0, 0, 0, 0, 50, "yellow");
+  star.addSatelliteFromElements(10, 10, "blue", {
+    semimajorAxis: 200,
+    eccentricity: 0.3,
+  });
+  return simulation;
+}
+
+test("step advances time and moves the bodies", () => {
+  const simulation = createOrbit();
+  const start = simulation.bodies[1].position.copy();
+  simulation.step(1);
+  assert.equal(simulation.time, 1);
+  assert.ok(simulation.bodies[1].position.dist(start) > 0);
+  for (const body of simulation.bodies) {
+    assert.ok(Number.isFinite(body.position.x));
+    assert.ok(Number.isFinite(body.position.y));
+  }
+});
+
+test("step conserves energy and momentum", () => {
+  for (const integrator of ["verlet", "rk4"]) {
+    const simulation = createOrbit({ integrator });
+    const before = simulation.computeConservedQuantities();
+    for (let i = 0; i < 2000; i++) {
+      simulation.step(1);
+    }
+    const after = simulation.computeConservedQuantities();
+    assert.ok(
+      Math.abs((after.energy - before.energy) / before.energy) < 1e-4,
+      `${integrator} energy drifted from ${before.energy} to ${after.energy}`
+    );
+    assert.ok(
+      Math.abs(after.momentum.x - before.momentum.x) <
+        1e-9 * before.momentumScale
+    );
+    assert.ok(
+      Math.abs(after.momentum.y - before.momentum.y) <
+        1e-9 * before.momentumScale
+    );
+  }
+});
+
+test("getState and loadState round trip", () => {
+  const simulation = createOrbit();
+  for (let i = 0; i < 100; i++) {
+    simulation.step(1);
+  }
+  const state = JSON.parse(JSON.stringify(simulation.getState()));
+  const copy = createSimulation();
+  copy.loadState(state);
+  assert.deepEqual(copy.getState(), simulation.getState());
+
+  for (let i = 0; i < 100; i++) {
+    simulation.step(1);
+    copy.step(1);
+  }
+  assert.deepEqual(copy.getState(), simulation.getState());
+});
+
+test("loadState rejects unsupported documents", () => {
+  const simulation = createSimulation();
+  assert.throws(() => simulation.loadState({ version: -1, bodies: [] }));
+  assert.throws(() =>
+    simulation.loadState({ ...createOrbit().getState(), bodies: [] })
+  );
+});
+
+test("coincident bodies exert no force on each other", () => {
+  for (const forceSolver of ["pairwise", "barnesHut"]) {
+    const simulation = createSimulation({
+      collisionMode: "none",
+      forceSolver,
+    });
+    simulation.createBody(100, 0, 0, 0, 0, 10, "yellow");
+    simulation.createBody(100, 0, 0, 0, 0, 10, "yellow");
+    simulation.createBody(1, 100, 0, 0, 1, 2, "blue");
+    simulation.step(1);
+    for (const body of simulation.bodies) {
+      assert.ok(Number.isFinite(body.position.x), forceSolver);
+      assert.ok(Number.isFinite(body.position.y), forceSolver);
+    }
+  }
+});
+
+test("adaptive steps keep an eccentric orbit with every integrator", () => {
+  const energyError = (config) => {
+    const simulation = createSimulation({
+      collisionMode: "none",
+      boundary: "keep",
+      ...config,
+    });
+    const star = simulation.createBody(10000, 0, 0, 0, 0, 20, "yellow");
+    star.addSatelliteFromElements(1, 2, "blue", {
+      semimajorAxis: 300,
+      eccentricity: 0.98,
+    });
+    const before = simulation.computeConservedQuantities().energy;
+    for (let i = 0; i < 3000; i++) {
+      simulation.step(1);
+    }
+    const after = simulation.computeConservedQuantities().energy;
+    return Math.abs((after - before) / before);
+  };
+  for (const integrator of ["euler", "verlet", "rk4"]) {
+    const adaptive = energyError({ integrator });
+    const fixed = energyError({ integrator, maxSubdivisions: 1 });
+    assert.ok(
+      adaptive <= fixed,
+      `${integrator}: adaptive error ${adaptive}, fixed ${fixed}`
+    );
+    if (integrator !== "euler") {
+      assert.ok(adaptive < 1e-2, `${integrator}: error ${adaptive}`);
+    }
+  }
+});
+
+test("spheres of influence switch parents with hysteresis", () => {
+  const config = createSimulation().config;
+  // The planet's Laplace sphere has a radius of about 158, so with the default
+  // hysteresis of 0.1 the moon enters it inside 143 and leaves it outside 174
+  const parentAt = (distance, parent, locked = false) => {
+    const bodies = [
+      { position: new Vector(0, 0), mass: 10000 },
+      { position: new Vector(1000, 0), mass: 100 },
+      { position: new Vector(1000 + distance, 0), mass: 1 },
+    ];
+    return assignParentsBySphereOfInfluence(bodies, [-1, 0, parent], config, [
+      false,
+      false,
+      locked,
+    ]).parents[2];
+  };
+  assert.equal(parentAt(130, 0), 1);
+  assert.equal(parentAt(160, 0), 0);
+  assert.equal(parentAt(160, 1), 1);
+  assert.equal(parentAt(190, 1), 0);
+  assert.equal(parentAt(130, 0, true), 0);
+});
+
+test("boundary policies act on bodies beyond the world radius", () => {
+  const escape = (boundary) => {
+    const simulation = createSimulation({ boundary, worldRadius: 1000 });
+    simulation.createBody(10000, 0, 0, 0, 0, 50, "yellow");
+    const body = simulation.createBody(1, 1500, 0, 2, 1, 2, "blue");
+    const events = [];
+    simulation.on("escape", (event) => events.push(event));
+    simulation.on("bodyRemoved", (event) => events.push(event));
+    const center = simulation.barycenter();
+    simulation.applyBoundary();
+    return { simulation, body, events, center };
+  };
+
+  const removed = escape("remove");
+  assert.deepEqual(removed.simulation.bodies, [removed.simulation.bodies[0]]);
+  assert.equal(removed.simulation.removedCount, 1);
+  assert.deepEqual(
+    removed.events.map((event) => [event.type, event.policy ?? event.reason]),
+    [
+      ["escape", "remove"],
+      ["bodyRemoved", "boundary"],
+    ]
+  );
+
+  const wrapped = escape("wrap");
+  assert.ok(
+    Math.abs(wrapped.body.position.x - (wrapped.center.position.x - 1000)) <
+      1e-9
+  );
+  assert.deepEqual(wrapped.body.velocity, new Vector(2, 1));
+
+  const reflected = escape("reflect");
+  assert.ok(
+    Math.abs(reflected.body.position.x - (reflected.center.position.x + 1000)) <
+      1e-9
+  );
+  assert.ok(reflected.body.velocity.x < 0);
+  assert.equal(reflected.body.velocity.y, 1);
+
+  const kept = escape("keep");
+  assert.deepEqual(kept.body.position, new Vector(1500, 0));
+  assert.equal(kept.events.length, 1);
+  kept.simulation.applyBoundary();
+  assert.equal(kept.events.length, 1, "escape is only emitted once");
+});
+
+test("Lagrange points are at rest in the rotating frame", () => {
+  const simulation = createSimulation({ collisionMode: "none" });
+  const star = simulation.createBody(10000, 0, 0, 0, 0, 50, "yellow");
+  const planet = star.addSatelliteFromElements(100, 10, "blue", {
+    semimajorAxis: 1000,
+    eccentricity: 0,
+  });
+  const { gravity } = simulation.config;
+  const distance = planet.position.dist(star.position);
+  const angularVelocity = Math.sqrt(
+    (gravity * (star.mass + planet.mass)) / distance ** 3
+  );
+  const center = simulation.barycenter().position;
+  const points = computeLagrangePoints(star, planet);
+  assert.deepEqual(
+    points.map((point) => point.name),
+    ["L1", "L2", "L3", "L4", "L5"]
+  );
+  for (const point of points) {
+    const gravitational = new Vector(0, 0);
+    for (const body of [star, planet]) {
+      const offset = Vector.sub(body.position, point.position);
+      gravitational.add(offset.mult((gravity * body.mass) / offset.mag() ** 3));
+    }
+    const centripetal = Vector.sub(center, point.position).mult(
+      angularVelocity ** 2
+    );
+    assert.ok(
+      gravitational.dist(centripetal) < 1e-6 * centripetal.mag(),
+      `${point.name} is not an equilibrium`
+    );
+  }
+  for (const name of ["L4", "L5"]) {
+    const point = points.find((other) => other.name === name);
+    assert.ok(Math.abs(point.position.dist(star.position) - distance) < 1e-9);
+    assert.ok(Math.abs(point.position.dist(planet.position) - distance) < 1e-9);
+  }
+});
+
+test("close encounters subcycle only the bodies involved", () => {
+  const flyby = (maxSubdivisions, substeps = 1) => {
+    const simulation = createSimulation({
+      collisionMode: "none",
+      boundary: "keep",
+      maxSubdivisions,
+      substeps,
+    });
+    simulation.createBody(1000, 0, 0, 0, 0, 2, "yellow");
+    simulation.createBody(1, -300, 3, 10, 0, 2, "blue");
+    simulation.createBody(1, 5000, 0, 0, 0.1, 2, "red");
+    return simulation;
+  };
+
+  const adaptive = flyby(32);
+  const reference = flyby(1, 200);
+  const fixed = flyby(1);
+  let active = [];
+  for (let i = 0; i < 60; i++) {
+    const plan = adaptive.planSubdivisions(1);
+    if (plan.subdivisions > 1) {
+      active = plan.active;
+    }
+    adaptive.step(1);
+    reference.step(1);
+    fixed.step(1);
+  }
+  assert.deepEqual([...active].sort(), [0, 1]);
+
+  const error = (simulation) =>
+    simulation.bodies[1].position.dist(reference.bodies[1].position);
+  assert.ok(
+    error(adaptive) < 0.1 * error(fixed),
+    `adaptive error ${error(adaptive)}, fixed ${error(fixed)}`
+  );
+  assert.ok(
+    adaptive.bodies[2].position.dist(reference.bodies[2].position) < 1e-6,
+    "the distant body follows its orbit as with fixed steps"
+  );
+});